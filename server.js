@@ -2,26 +2,90 @@ const express = require('express');
 const multer = require('multer');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
+const { SETTINGS_SCHEMA_VERSION, settingsSchema, validateSettings } = require('./settings-schema');
 
 // 프로젝트 상태 관리를 위한 메모리 저장소
 const projects = new Map(); // projectId -> projectData
 const projectFiles = new Map(); // projectId -> Map(fileName -> filePath)
 
+// 영상 조립 작업 큐
+const jobs = new Map(); // jobId -> jobData
+const jobQueue = []; // 대기 중인 jobId 목록 (FIFO)
+const ASSEMBLY_CONCURRENCY = Math.max(1, parseInt(process.env.ASSEMBLY_CONCURRENCY, 10) || 1);
+let runningJobCount = 0;
+
+// 프로젝트 매니페스트 (uploads/<projectId>/project.json)
+const PROJECT_MANIFEST = 'project.json';
+const projectSaveChains = new Map(); // projectId -> 마지막 저장 Promise
+
+// 상태별 프로젝트 보관 기간 (마지막 활동 또는 완료 시각 기준, 0이면 자동 삭제 안 함)
+const PROJECT_RETENTION = {
+  created: Math.max(0, parseFloat(process.env.PROJECT_RETENTION_CREATED_HOURS ?? 24)) * 60 * 60 * 1000,
+  completed: Math.max(0, parseFloat(process.env.PROJECT_RETENTION_COMPLETED_HOURS ?? 168)) * 60 * 60 * 1000,
+  error: Math.max(0, parseFloat(process.env.PROJECT_RETENTION_ERROR_HOURS ?? 72)) * 60 * 60 * 1000
+};
+const PROJECT_SWEEP_INTERVAL = Math.max(1, parseFloat(process.env.PROJECT_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const PROJECT_LIST_MAX_LIMIT = 100;
+
+// 씬 세그먼트 캐시 (크기 0이면 사용 안 함, 보관 기간 0이면 기간 제한 없음)
+const SEGMENT_CACHE_DIR = process.env.SEGMENT_CACHE_DIR || path.join(__dirname, 'cache', 'segments');
+const SEGMENT_CACHE_MAX_SIZE = Math.max(0, parseFloat(process.env.SEGMENT_CACHE_MAX_SIZE_MB ?? 2048)) * 1024 * 1024;
+const SEGMENT_CACHE_MAX_AGE = Math.max(0, parseFloat(process.env.SEGMENT_CACHE_MAX_AGE_HOURS ?? 168)) * 60 * 60 * 1000;
+const SEGMENT_CACHE_VERSION = 1; // 세그먼트 필터 구성이 바뀌면 올려서 기존 캐시 무효화
+const segmentCacheUsage = { entries: 0, size: 0 };
+const fileHashes = new Map(); // filePath -> { size, mtimeMs, hash }
+
+// 이어 올리기(resumable) 업로드: 프로젝트 디렉토리 안 임시 위치에 청크를 이어 붙인 뒤 완료 시 검증
+const RESUMABLE_UPLOAD_DIR = '.uploads';
+const RESUMABLE_UPLOAD_MAX_SIZE = Math.max(1, parseFloat(process.env.RESUMABLE_UPLOAD_MAX_SIZE_MB) || 2048) * 1024 * 1024;
+const CHECKSUM_ALGORITHMS = ['sha256', 'sha1', 'md5'];
+const activeChunkUploads = new Set(); // 청크를 받고 있는 uploadId (같은 업로드에 동시에 쓰지 않도록)
+
+// URL 가져오기 (다른 서비스가 호스팅하는 파일을 서버가 직접 내려받음)
+const IMPORT_MAX_FILE_SIZE = Math.max(1, parseFloat(process.env.IMPORT_MAX_FILE_SIZE_MB) || 500) * 1024 * 1024;
+const IMPORT_TIMEOUT = Math.max(1, parseFloat(process.env.IMPORT_TIMEOUT_SECONDS) || 60) * 1000;
+const IMPORT_MAX_REDIRECTS = 5;
+const IMPORT_MAX_FILES = 50;
+const IMPORT_CONCURRENCY = 3;
+const IMPORT_ALLOW_PRIVATE_NETWORKS = process.env.IMPORT_ALLOW_PRIVATE_NETWORKS === 'true'; // 개발 환경 전용
+
+// 내부망/예약 주소 (SSRF 방지: 서버가 접근할 수 있는 내부 서비스로 요청하지 않도록)
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+// ::/96은 미지정/루프백과 IPv4 호환 주소, 64:ff9b::/96은 NAT64 (IPv4 매핑 주소 ::ffff:0:0/96은 BlockList가 IPv4 규칙으로 검사)
+[
+  ['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+// 실시간 이벤트(SSE) 구독자
+const projectEventClients = new Map(); // projectId -> Set(res)
+const SSE_HEARTBEAT_INTERVAL = 25 * 1000;
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // 미들웨어 설정
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Range', 'Upload-Offset'],
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length'],
   credentials: false
 }));
 
-app.use(express.json({ limit: '100mb' }));
+app.use(express.json({ limit: '100mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '100mb' }));
 app.use(express.static('public'));
 
@@ -69,20 +133,100 @@ function extractRequiredFiles(settings) {
   if (settings.scenes) {
     settings.scenes.forEach(scene => {
       if (scene.image) files.push(scene.image);
+      if (scene.video) files.push(resolveClipSettings(scene.video).file);
+      if (scene.subtitle && scene.subtitle.fontFile) files.push(scene.subtitle.fontFile);
+      if (scene.subtitlesFile) files.push(resolveSubtitlesFileSettings(scene.subtitlesFile).file);
       if (scene.tts) files.push(scene.tts);
       if (scene.sfx) files.push(scene.sfx);
     });
   }
   
-  // 배경음악
-  if (settings.bgm) {
-    files.push(settings.bgm);
+  // 자막 전체 스타일의 폰트 파일
+  const subtitleStyle = settings.global && settings.global.subtitleStyle;
+  if (subtitleStyle && subtitleStyle.fontFile) {
+    files.push(subtitleStyle.fontFile);
+  }
+  
+  // 영상 전체 자막 파일 (.srt, .vtt, .ass)
+  if (settings.subtitlesFile) {
+    files.push(resolveSubtitlesFileSettings(settings.subtitlesFile).file);
+  }
+  
+  // 배경음악 (파일명 문자열 또는 { file, ... } 객체)
+  const bgm = resolveBgmSettings(settings);
+  if (bgm) {
+    files.push(bgm.file);
   }
   
   // 중복 제거
   return [...new Set(files)];
 }
 
+// JSON Merge Patch (RFC 7386): null은 필드 삭제, 객체는 재귀 병합, 배열과 값은 통째로 교체
+function applyMergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+  
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+// 폰트 파일 여부 (ASS 자막 파일이 스타일의 Fontname으로 참조하므로 settings에 없어도 유지)
+function isFontFile(fileName) {
+  return ['.ttf', '.otf'].includes(path.extname(fileName).toLowerCase());
+}
+
+// 씬 영상 클립 설정 정규화 (파일명 문자열 또는 { file, in, out, speed, mute, volume })
+function resolveClipSettings(video) {
+  const clip = typeof video === 'string' ? { file: video } : video;
+  
+  return {
+    file: clip.file,
+    in: clip.in || 0,
+    out: clip.out ?? null,
+    speed: clip.speed || 1,
+    mute: clip.mute === true,
+    volume: clip.volume ?? 1.0
+  };
+}
+
+// 자막 파일 설정 정규화 (파일명 문자열 또는 { file, offset })
+function resolveSubtitlesFileSettings(subtitlesFile) {
+  const config = typeof subtitlesFile === 'string' ? { file: subtitlesFile } : subtitlesFile;
+  return { file: config.file, offset: config.offset || 0 };
+}
+
+// 배경음악 설정 정규화 (문자열 형식과 global의 레거시 볼륨 설정 지원)
+function resolveBgmSettings(settings) {
+  if (!settings.bgm) return null;
+  
+  const bgm = typeof settings.bgm === 'string' ? { file: settings.bgm } : settings.bgm;
+  const globalSettings = settings.global || {};
+  
+  let ducking = null;
+  if (bgm.ducking) {
+    const options = typeof bgm.ducking === 'object' ? bgm.ducking : {};
+    ducking = { ...DEFAULT_BGM_DUCKING, ...options };
+  }
+  
+  return {
+    file: bgm.file,
+    volume: bgm.volume ?? globalSettings.backgroundMusicVolume ?? DEFAULT_BGM_VOLUME,
+    loop: bgm.loop === true,
+    fadeIn: bgm.fadeIn || 0,
+    fadeOut: bgm.fadeOut || 0,
+    ducking
+  };
+}
+
 // 파일 검증 함수
 async function validateFile(file, expectedFileName) {
   try {
@@ -93,7 +237,7 @@ async function validateFile(file, expectedFileName) {
     
     // 파일 확장자 검증
     const ext = path.extname(expectedFileName).toLowerCase();
-    const allowedExts = ['.mp3', '.wav', '.m4a', '.jpg', '.jpeg', '.png', '.gif', '.mp4', '.mov'];
+    const allowedExts = ['.mp3', '.wav', '.m4a', '.jpg', '.jpeg', '.png', '.gif', '.mp4', '.mov', '.ttf', '.otf', '.srt', '.vtt', '.ass'];
     
     if (!allowedExts.includes(ext)) {
       return { valid: false, error: `지원하지 않는 파일 형식: ${ext}` };
@@ -113,6 +257,38 @@ async function validateFile(file, expectedFileName) {
       }
     }
     
+    // 비디오 파일 검증
+    if (['.mp4', '.mov'].includes(ext)) {
+      if (!file.mimetype.startsWith('video/')) {
+        return { valid: false, error: '비디오 파일의 MIME 타입이 올바르지 않습니다' };
+      }
+    }
+    
+    // 폰트 파일 검증 (브라우저마다 보내는 MIME 타입이 달라 범위를 넓게 허용)
+    if (['.ttf', '.otf'].includes(ext)) {
+      const fontMimeTypes = ['font/', 'application/font', 'application/x-font', 'application/vnd.ms-opentype', 'application/octet-stream'];
+      if (!fontMimeTypes.some(type => file.mimetype.startsWith(type))) {
+        return { valid: false, error: '폰트 파일의 MIME 타입이 올바르지 않습니다' };
+      }
+    }
+    
+    // 자막 파일 검증 (MIME 타입이 제각각이라 내용으로 형식 확인)
+    if (SUBTITLE_FILE_SIGNATURES[ext]) {
+      // 큰 파일 전체를 읽지 않도록 앞부분만 확인
+      const handle = await fs.open(file.path, 'r');
+      const buffer = Buffer.alloc(Math.min(file.size || 64 * 1024, 64 * 1024));
+      let bytesRead;
+      try {
+        ({ bytesRead } = await fs.read(handle, buffer, 0, buffer.length, 0));
+      } finally {
+        await fs.close(handle);
+      }
+      const head = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '');
+      if (!SUBTITLE_FILE_SIGNATURES[ext].test(head)) {
+        return { valid: false, error: `${ext} 자막 파일 형식이 올바르지 않습니다` };
+      }
+    }
+    
     return { valid: true };
     
   } catch (error) {
@@ -120,6 +296,17 @@ async function validateFile(file, expectedFileName) {
   }
 }
 
+// 파일 체크섬 (hex)
+function computeFileChecksum(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const digest = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('data', chunk => digest.update(chunk))
+      .on('end', () => resolve(digest.digest('hex')))
+      .on('error', reject);
+  });
+}
+
 // 안전한 텍스트 이스케이핑 함수 (FFmpeg drawtext 필터용)
 function escapeFFmpegText(text) {
   if (!text) return '';
@@ -134,6 +321,233 @@ function escapeFFmpegText(text) {
     .replace(/;/g, '\\;');     // 세미콜론 이스케이핑
 }
 
+// 자막 파일 형식별 내용 확인 패턴
+const SUBTITLE_FILE_SIGNATURES = {
+  '.srt': /\d{2}:\d{2}:\d{2},\d{3}\s*-->/,
+  '.vtt': /^WEBVTT/,
+  '.ass': /\[Script Info\]/i
+};
+
+// 초 → 자막 시간 표기
+function formatSubtitleTime(seconds, format) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  
+  if (format === 'ass') {
+    return `${hours}:${pad(minutes)}:${pad(secs)}.${pad(Math.floor(ms / 10))}`;
+  }
+  const separator = format === 'srt' ? ',' : '.';
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+// 자막 파일의 모든 큐 시간을 offset(초)만큼 이동
+function shiftSubtitleTimings(content, ext, offset) {
+  if (!offset) return content;
+  
+  const toSeconds = (h, m, s, fraction) => parseInt(h || '0', 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10) + parseFloat(`0.${fraction}`);
+  
+  if (ext === '.ass') {
+    // Dialogue: Layer,Start,End,... (카라오케 \k 태그는 상대 시간이라 그대로 둠)
+    return content.replace(/^(Dialogue:\s*[^,]*,)(\d+):(\d{2}):(\d{2})\.(\d{2}),(\d+):(\d{2}):(\d{2})\.(\d{2}),/gm,
+      (match, prefix, h1, m1, s1, f1, h2, m2, s2, f2) =>
+        `${prefix}${formatSubtitleTime(toSeconds(h1, m1, s1, f1) + offset, 'ass')},${formatSubtitleTime(toSeconds(h2, m2, s2, f2) + offset, 'ass')},`);
+  }
+  
+  // SRT/VTT: 큐 타이밍 줄과 VTT 인라인 타임스탬프(<00:00:01.000>)만 변경
+  const format = ext === '.srt' ? 'srt' : 'vtt';
+  const timestamp = /(?:(\d{2,}):)?(\d{2}):(\d{2})[,.](\d{3})/g;
+  const shift = text => text.replace(timestamp, (match, h, m, s, f) => formatSubtitleTime(toSeconds(h, m, s, f) + offset, format));
+  
+  return content
+    .split(/\r?\n/)
+    .map(line => (line.includes('-->') ? shift(line) : line.replace(/<[\d:.]+>/g, shift)))
+    .join('\n');
+}
+
+// 자막 파일 번인용 필터 준비 (작업 디렉토리에 시간을 이동한 복사본 생성)
+// - settings.subtitlesFile: 영상 전체 기준 시간 (+offset)
+// - scene.subtitlesFile: 씬 시작 기준 시간 (+씬 시작 시각 +offset)
+// 반환값: [{ filter, file, offset, sceneIndex }] (영상 전체 기준 자막 파일은 sceneIndex가 null)
+async function prepareSubtitleFileFilters(settings, scenes, timeline, fileMapping, workDir) {
+  const entries = [];
+  if (settings.subtitlesFile) {
+    entries.push({ ...resolveSubtitlesFileSettings(settings.subtitlesFile), baseTime: 0, sceneIndex: null });
+  }
+  scenes.forEach((scene, index) => {
+    if (scene.subtitlesFile) {
+      entries.push({ ...resolveSubtitlesFileSettings(scene.subtitlesFile), baseTime: timeline.startTimes[index], sceneIndex: index });
+    }
+  });
+  
+  if (entries.length === 0) return [];
+  
+  // 업로드된 폰트만 모아 libass 폰트 디렉토리로 사용 (ASS 스타일의 Fontname으로 참조)
+  const fontsDir = path.join(workDir, 'fonts');
+  await fs.ensureDir(fontsDir);
+  for (const [fileName, filePath] of fileMapping) {
+    if (isFontFile(fileName)) {
+      await fs.copy(filePath, path.join(fontsDir, fileName));
+    }
+  }
+  
+  const filters = [];
+  for (const [index, entry] of entries.entries()) {
+    const ext = path.extname(entry.file).toLowerCase();
+    const offset = entry.baseTime + entry.offset;
+    
+    // 업로드 파일명에는 필터 구문과 충돌하는 문자(' : , 등)가 올 수 있어 항상 안전한 이름으로 복사
+    const content = await fs.readFile(fileMapping.get(entry.file), 'utf8');
+    const subtitlePath = path.join(workDir, `subtitles-${index}${ext}`);
+    await fs.writeFile(subtitlePath, shiftSubtitleTimings(content.replace(/^\uFEFF/, ''), ext, offset));
+    
+    console.log(`📝 자막 파일 번인: ${entry.file} (시간 이동 ${offset}s)`);
+    const filterName = ext === '.ass' ? 'ass' : 'subtitles';
+    filters.push({
+      filter: `${filterName}=filename='${subtitlePath}':fontsdir='${fontsDir}'`,
+      file: entry.file,
+      offset,
+      sceneIndex: entry.sceneIndex
+    });
+  }
+  
+  return filters;
+}
+
+// drawtext에 쓸 업로드 폰트를 안전한 이름으로 복사
+// (업로드 파일명에는 필터 구문과 충돌하는 문자(' : , 등)가 올 수 있음, 이름 해시를 써서 세그먼트 캐시 키가 바뀌지 않도록 함)
+// 반환값: Map(업로드 파일명 → 복사한 경로)
+async function prepareDrawTextFonts(fileMapping, workDir) {
+  const fontPaths = new Map();
+  for (const [fileName, filePath] of fileMapping) {
+    if (!isFontFile(fileName)) continue;
+    
+    const safeName = `font-${crypto.createHash('sha1').update(fileName).digest('hex').slice(0, 16)}${path.extname(fileName).toLowerCase()}`;
+    const fontPath = path.join(workDir, 'drawtext-fonts', safeName);
+    await fs.copy(filePath, fontPath);
+    fontPaths.set(fileName, fontPath);
+  }
+  return fontPaths;
+}
+
+// 자막 기본 스타일
+const DEFAULT_SUBTITLE_STYLE = {
+  fontSize: 24,
+  color: 'white',
+  position: 'bottom', // top | center | bottom
+  align: 'center', // left | center | right
+  marginX: 50,
+  marginY: 50,
+  maxWidth: 0.9, // 화면 너비 대비 비율
+  lineSpacing: 1.3 // 폰트 크기 대비 줄 간격
+};
+
+// 자막 스타일 결정 (기본값 → global.subtitleStyle → 씬 subtitle 순으로 덮어쓰기)
+function resolveSubtitleStyle(settings, subtitle) {
+  const globalStyle = (settings.global && settings.global.subtitleStyle) || {};
+  const { text, ...sceneStyle } = subtitle;
+  return { ...DEFAULT_SUBTITLE_STYLE, ...globalStyle, ...sceneStyle };
+}
+
+// 글자 폭 추정 (한글/한자/가나 등 전각 문자는 폰트 크기, 나머지는 약 절반)
+function estimateTextWidth(text, fontSize) {
+  let width = 0;
+  for (const char of text) {
+    if (char === ' ') {
+      width += fontSize * 0.3;
+    } else if (/[\u1100-\u11ff\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/.test(char)) {
+      width += fontSize;
+    } else {
+      width += fontSize * 0.55;
+    }
+  }
+  return width;
+}
+
+// 최대 너비에 맞춰 자막 줄바꿈 (단어 단위, 한 단어가 너무 길면 글자 단위)
+function wrapSubtitleText(text, fontSize, maxWidth) {
+  const lines = [];
+  
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (estimateTextWidth(candidate, fontSize) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      
+      if (line) lines.push(line);
+      line = '';
+      for (const char of word) {
+        if (line && estimateTextWidth(line + char, fontSize) > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line);
+  }
+  
+  return lines.filter((line, index) => line || index < lines.length - 1);
+}
+
+// 자막 한 개를 줄마다 drawtext 필터로 변환 (줄마다 정렬을 적용하기 위해 분리)
+function buildSubtitleFilters(text, style, { startTime, endTime }, outputFormat, fontPaths) {
+  const lines = wrapSubtitleText(text, style.fontSize, outputFormat.width * style.maxWidth);
+  if (lines.every(line => !line)) return []; // 공백뿐인 자막
+  const lineHeight = Math.round(style.fontSize * style.lineSpacing);
+  const blockHeight = lineHeight * lines.length;
+  
+  let font;
+  if (style.fontFile) {
+    font = `fontfile='${fontPaths.get(style.fontFile)}'`;
+  } else if (style.fontFamily) {
+    font = `font='${escapeFFmpegText(style.fontFamily)}'`;
+  } else {
+    font = `fontfile='${findAvailableFont()}'`;
+  }
+  
+  const x = {
+    left: `${style.marginX}`,
+    center: '(w-text_w)/2',
+    right: `w-text_w-${style.marginX}`
+  }[style.align];
+  
+  const blockTop = {
+    top: `${style.marginY}`,
+    center: `(h-${blockHeight})/2`,
+    bottom: `h-${blockHeight}-${style.marginY}`
+  }[style.position];
+  
+  const options = [
+    font,
+    `fontcolor=${style.color}`,
+    `fontsize=${style.fontSize}`
+  ];
+  if (style.outline) {
+    options.push(`borderw=${style.outline.width || 2}`, `bordercolor=${style.outline.color || 'black'}`);
+  }
+  if (style.shadow) {
+    options.push(`shadowx=${style.shadow.x ?? 2}`, `shadowy=${style.shadow.y ?? 2}`, `shadowcolor=${style.shadow.color || 'black@0.6'}`);
+  }
+  if (style.box) {
+    options.push('box=1', `boxcolor=${style.box.color || 'black@0.5'}`, `boxborderw=${style.box.padding ?? 10}`);
+  }
+  
+  return lines.map((line, lineIndex) => [
+    'drawtext=' + options.join(':'),
+    `text='${escapeFFmpegText(line)}'`,
+    `x=${x}`,
+    `y=${blockTop}+${lineIndex * lineHeight}`,
+    `enable='between(t,${startTime},${endTime})'`
+  ].join(':'));
+}
+
 // 사용 가능한 폰트 찾기 함수
 function findAvailableFont() {
   const fontPaths = [
@@ -155,299 +569,3037 @@ function findAvailableFont() {
   return 'Arial'; // 폴백
 }
 
-// FFmpeg 영상 조립 함수
-async function assembleVideo(project, fileMapping) {
-  const { settings } = project;
-  const outputFileName = `output_${project.id}_${Date.now()}.mp4`;
-  const outputPath = path.join(outputDir, outputFileName);
+// 기본 출력 형식
+const DEFAULT_RESOLUTION = '1920x1080';
+const DEFAULT_FPS = 30;
+const DEFAULT_FIT_MODE = 'pad';
+const DEFAULT_SCENE_DURATION = 3;
+const DEFAULT_TRANSITION_DURATION = 1;
+
+// 켄 번즈 효과 기본 확대 배율과 zoompan 전 확대 배수
+const DEFAULT_MOTION_ZOOM = 1.2;
+const MOTION_SUPERSAMPLE = 2;
+
+// 배경음악/내레이션 기본 볼륨 (레거시 서버와 동일)
+const DEFAULT_BGM_VOLUME = 0.3;
+const DEFAULT_VOICE_VOLUME = 1.0;
+
+// TTS 구간 배경음악 덕킹 기본값 (sidechaincompress)
+const DEFAULT_BGM_DUCKING = {
+  threshold: 0.05,
+  ratio: 8,
+  attack: 20, // ms
+  release: 400 // ms
+};
+
+// 오디오 믹싱 전 공통 포맷 (adelay 채널 지정을 위해 스테레오로 통일)
+const AUDIO_MIX_FORMAT = 'aformat=sample_rates=44100:channel_layouts=stereo';
+
+// 화면 비율 프리셋 (짧은 변 1080 기준)
+const ASPECT_RATIO_RESOLUTIONS = {
+  '16:9': '1920x1080',
+  '9:16': '1080x1920',
+  '1:1': '1080x1080',
+  '4:5': '1080x1350'
+};
+
+// settings.global에서 출력 해상도/프레임레이트/맞춤 방식 결정
+function resolveOutputFormat(settings) {
+  const globalSettings = settings.global || {};
+  const resolution = globalSettings.resolution
+    || ASPECT_RATIO_RESOLUTIONS[globalSettings.aspectRatio]
+    || DEFAULT_RESOLUTION;
   
-  await fs.ensureDir(outputDir);
+  // libx264(yuv420p)는 짝수 크기만 지원
+  const [width, height] = resolution.split('x').map(n => Math.floor(parseInt(n, 10) / 2) * 2);
   
-  console.log('🎬 FFmpeg 영상 조립 시작');
-  console.log('📁 사용할 파일들:');
-  for (const [fileName, filePath] of fileMapping) {
-    console.log(`  ${fileName} -> ${filePath}`);
+  return {
+    width,
+    height,
+    fps: globalSettings.fps || DEFAULT_FPS,
+    fit: globalSettings.fit || DEFAULT_FIT_MODE
+  };
+}
+
+// 인코딩 프로필 (global.encoding으로 선택, 기본값 web-h264)
+const DEFAULT_ENCODING_PROFILE = 'web-h264';
+const ENCODING_PROFILES = {
+  'web-h264': { container: 'mp4', videoCodec: 'libx264', preset: 'medium', crf: 23, pixelFormat: 'yuv420p', audioCodec: 'aac', audioBitrate: '128k' },
+  'archive-h265': { container: 'mp4', videoCodec: 'libx265', preset: 'slow', crf: 20, pixelFormat: 'yuv420p10le', audioCodec: 'aac', audioBitrate: '192k' },
+  'webm-vp9': { container: 'webm', videoCodec: 'libvpx-vp9', crf: 32, pixelFormat: 'yuv420p', audioCodec: 'libopus', audioBitrate: '128k' },
+  'av1': { container: 'mp4', videoCodec: 'libaom-av1', crf: 30, pixelFormat: 'yuv420p', audioCodec: 'aac', audioBitrate: '128k' },
+  'prores-proxy': { container: 'mov', videoCodec: 'prores_ks', pixelFormat: 'yuv422p10le', audioCodec: 'pcm_s16le' },
+  'audio-only-mp3': { container: 'mp3', videoCodec: null, audioCodec: 'libmp3lame', audioBitrate: '192k' }
+};
+
+// 컨테이너별로 담을 수 있는 코덱
+const CONTAINER_CODECS = {
+  mp4: { video: ['libx264', 'libx265', 'libaom-av1'], audio: ['aac', 'libmp3lame', 'libopus'] },
+  mov: { video: ['libx264', 'libx265', 'prores_ks'], audio: ['aac', 'pcm_s16le'] },
+  mkv: { video: ['libx264', 'libx265', 'libvpx-vp9', 'libaom-av1', 'prores_ks'], audio: ['aac', 'libopus', 'libmp3lame', 'pcm_s16le'] },
+  webm: { video: ['libvpx-vp9', 'libaom-av1'], audio: ['libopus'] },
+  mp3: { video: [], audio: ['libmp3lame'] }
+};
+
+// 코덱별 CRF 최댓값 (없는 코덱은 CRF 미지원)
+const CODEC_MAX_CRF = { libx264: 51, libx265: 51, 'libvpx-vp9': 63, 'libaom-av1': 63 };
+
+// -preset을 지원하는 코덱
+const PRESET_CODECS = ['libx264', 'libx265'];
+
+// CRF만 지정하면 -b:v 0을 함께 줘야 고정 품질 모드가 되는 코덱
+const CONSTANT_QUALITY_CODECS = ['libvpx-vp9', 'libaom-av1'];
+
+// 코덱별 고정 옵션 (속도/호환성)
+const VIDEO_CODEC_OPTIONS = {
+  'libvpx-vp9': ['-row-mt', '1', '-deadline', 'good', '-cpu-used', '4'],
+  'libaom-av1': ['-row-mt', '1', '-cpu-used', '6', '-strict', 'experimental'], // 구버전 FFmpeg는 libaom을 실험적 인코더로 분류
+  prores_ks: ['-profile:v', '0'] // 0 = Proxy
+};
+
+// 오디오 전용 출력에서 의미 없는 비디오 관련 필드
+const VIDEO_ENCODING_FIELDS = ['videoCodec', 'crf', 'preset', 'videoBitrate', 'pixelFormat'];
+
+// global.encoding 정규화 (프로필 값 위에 덮어쓴 값 적용)
+function resolveEncodingSettings(settings) {
+  const config = (settings.global || {}).encoding;
+  const { profile = DEFAULT_ENCODING_PROFILE, ...overrides } = typeof config === 'string' ? { profile: config } : (config || {});
+  
+  const encoding = { profile, ...ENCODING_PROFILES[profile], ...overrides };
+  if (encoding.container === 'mp3') encoding.videoCodec = null;
+  
+  return { ...encoding, overrides };
+}
+
+// 스키마로 표현하기 어려운 설정 간 조건 검사 (settings 스키마 위반 형식으로 반환)
+function findSettingsViolations(settings) {
+  const violations = findEncodingViolations(settings);
+  
+  const poster = (settings.thumbnails && settings.thumbnails.poster) || {};
+  if (poster.scene !== undefined && poster.scene >= settings.scenes.length) {
+    violations.push({ path: '/thumbnails/poster/scene', keyword: 'range', message: `씬 번호는 ${settings.scenes.length - 1} 이하여야 합니다` });
   }
   
-  return new Promise((resolve, reject) => {
-    const ffmpegCommand = ffmpeg();
-    
-    // 이미지 입력 추가
-    settings.scenes.forEach((scene, index) => {
-      if (scene.image) {
-        const imagePath = fileMapping.get(scene.image);
-        ffmpegCommand.input(imagePath);
-        console.log(`🖼️  이미지 입력 ${index}: ${scene.image} -> ${imagePath}`);
-      }
-    });
-    
-    // 오디오 입력 추가
-    const audioInputs = [];
-    let audioIndex = settings.scenes.length;
-    
-    settings.scenes.forEach((scene, index) => {
-      if (scene.tts) {
-        const ttsPath = fileMapping.get(scene.tts);
-        ffmpegCommand.input(ttsPath);
-        audioInputs.push({ type: 'tts', index: audioIndex++, scene: index });
-        console.log(`🎤 TTS 입력: ${scene.tts} -> ${ttsPath}`);
-      }
-    });
-    
-    if (settings.bgm) {
-      const bgmPath = fileMapping.get(settings.bgm);
-      ffmpegCommand.input(bgmPath);
-      audioInputs.push({ type: 'bgm', index: audioIndex++ });
-      console.log(`🎵 BGM 입력: ${settings.bgm} -> ${bgmPath}`);
-    }
-    
-    // 비디오 필터 생성
-    let videoFilter = '';
-    settings.scenes.forEach((scene, index) => {
-      const duration = scene.duration || 3;
-      videoFilter += `[${index}:v]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2,setpts=PTS-STARTPTS,fps=30,loop=loop=-1:size=1:start=0[v${index}];`;
-    });
-    
-    // 비디오 연결
-    const videoInputs = settings.scenes.map((_, index) => `[v${index}]`).join('');
-    videoFilter += `${videoInputs}concat=n=${settings.scenes.length}:v=1:a=0[video];`;
-    
-    // 자막 추가 (안전한 텍스트 처리)
-    let currentVideoStream = '[video]';
-    settings.scenes.forEach((scene, index) => {
-      if (scene.subtitle && scene.subtitle.text) {
-        const startTime = settings.scenes.slice(0, index).reduce((sum, s) => sum + (s.duration || 3), 0);
-        const endTime = startTime + (scene.duration || 3);
-        
-        const safeText = escapeFFmpegText(scene.subtitle.text);
-        const fontFile = findAvailableFont();
-        const fontSize = scene.subtitle.fontSize || 24;
-        
-        const drawTextFilter = `drawtext=fontfile='${fontFile}':text='${safeText}':fontcolor=white:fontsize=${fontSize}:x=(w-text_w)/2:y=h-text_h-50:enable='between(t,${startTime},${endTime})'`;
-        
-        const outputStream = `[video_sub${index}]`;
-        videoFilter += `${currentVideoStream}${drawTextFilter}${outputStream};`;
-        currentVideoStream = outputStream;
-      }
-    });
-    
-    // 오디오 믹싱
-    let audioFilter = '';
-    if (audioInputs.length > 0) {
-      const ttsInputs = audioInputs.filter(a => a.type === 'tts');
-      const bgmInputs = audioInputs.filter(a => a.type === 'bgm');
-      
-      if (ttsInputs.length > 0 && bgmInputs.length > 0) {
-        const ttsStreams = ttsInputs.map(a => `[${a.index}:a]`).join('');
-        audioFilter += `${ttsStreams}concat=n=${ttsInputs.length}:v=0:a=1[tts_combined];`;
-        audioFilter += `[tts_combined][${bgmInputs[0].index}:a]amix=inputs=2:duration=shortest:dropout_transition=2[audio]`;
-      } else if (ttsInputs.length > 0) {
-        const ttsStreams = ttsInputs.map(a => `[${a.index}:a]`).join('');
-        audioFilter += `${ttsStreams}concat=n=${ttsInputs.length}:v=0:a=1[audio]`;
-      } else if (bgmInputs.length > 0) {
-        audioFilter += `[${bgmInputs[0].index}:a]acopy[audio]`;
-      }
+  return violations;
+}
+
+// 스키마로 표현하기 어려운 컨테이너/코덱 조합 검사
+function findEncodingViolations(settings) {
+  const encoding = resolveEncodingSettings(settings);
+  const { overrides } = encoding;
+  const supported = CONTAINER_CODECS[encoding.container];
+  const violations = [];
+  const addViolation = (field, message) => violations.push({ path: `/global/encoding/${field}`, keyword: 'encoding', message });
+  
+  if (encoding.container === 'mp3') {
+    VIDEO_ENCODING_FIELDS
+      .filter(field => overrides[field] !== undefined)
+      .forEach(field => addViolation(field, 'mp3 출력에는 비디오 설정을 사용할 수 없습니다'));
+    if (!supported.audio.includes(encoding.audioCodec)) {
+      addViolation('audioCodec', `${encoding.container} 컨테이너는 ${encoding.audioCodec} 코덱을 지원하지 않습니다`);
     }
-    
-    // 최종 필터 조합
-    let finalFilter = videoFilter;
-    if (audioFilter) {
-      finalFilter += audioFilter;
+    return violations;
+  }
+  
+  if (encoding.videoCodec && !supported.video.includes(encoding.videoCodec)) {
+    addViolation('videoCodec', `${encoding.container} 컨테이너는 ${encoding.videoCodec} 코덱을 지원하지 않습니다`);
+  }
+  if (!supported.audio.includes(encoding.audioCodec)) {
+    addViolation('audioCodec', `${encoding.container} 컨테이너는 ${encoding.audioCodec} 코덱을 지원하지 않습니다`);
+  }
+  if (overrides.preset !== undefined && !PRESET_CODECS.includes(encoding.videoCodec)) {
+    addViolation('preset', `preset은 ${PRESET_CODECS.join(', ')} 코덱에서만 사용할 수 있습니다`);
+  }
+  if (overrides.crf !== undefined) {
+    const maxCrf = CODEC_MAX_CRF[encoding.videoCodec];
+    if (maxCrf === undefined) {
+      addViolation('crf', `${encoding.videoCodec} 코덱은 crf를 지원하지 않습니다`);
+    } else if (overrides.crf > maxCrf) {
+      addViolation('crf', `${encoding.videoCodec} 코덱의 crf는 ${maxCrf} 이하여야 합니다`);
     }
-    
-    console.log('🔧 생성된 FFmpeg 필터:');
-    console.log(finalFilter);
-    
-    // FFmpeg 실행
-    ffmpegCommand
-      .complexFilter(finalFilter)
-      .outputOptions([
-        '-map', currentVideoStream.replace('[', '').replace(']', ''),
-        ...(audioFilter ? ['-map', '[audio]'] : []),
-        '-c:v', 'libx264',
-        '-preset', 'medium',
-        '-crf', '23',
-        '-c:a', 'aac',
-        '-b:a', '128k',
-        '-movflags', '+faststart'
-      ])
-      .output(outputPath)
-      .on('start', (commandLine) => {
-        console.log('🚀 FFmpeg 명령어 실행:');
-        console.log(commandLine);
-      })
-      .on('stderr', (stderrLine) => {
-        console.log('📋 FFmpeg:', stderrLine);
-      })
-      .on('end', () => {
-        console.log('✅ FFmpeg 처리 완료!');
-        resolve(outputPath);
-      })
-      .on('error', (err) => {
-        console.error('❌ FFmpeg 오류:', err.message);
-        reject(err);
-      })
-      .run();
-  });
+  }
+  
+  return violations;
 }
 
-// ===== 대화형 서버 API 엔드포인트들 =====
+// 비디오 인코더 옵션 (씬 세그먼트 인코딩에도 그대로 사용)
+function buildVideoCodecOptions(encoding) {
+  const { videoCodec } = encoding;
+  const options = ['-c:v', videoCodec];
+  
+  if (encoding.preset && PRESET_CODECS.includes(videoCodec)) {
+    options.push('-preset', encoding.preset);
+  }
+  if (encoding.crf !== undefined && CODEC_MAX_CRF[videoCodec] !== undefined) {
+    options.push('-crf', String(encoding.crf));
+  }
+  if (encoding.videoBitrate) {
+    options.push('-b:v', encoding.videoBitrate);
+  } else if (encoding.crf !== undefined && CONSTANT_QUALITY_CODECS.includes(videoCodec)) {
+    options.push('-b:v', '0');
+  }
+  if (encoding.pixelFormat) {
+    options.push('-pix_fmt', encoding.pixelFormat);
+  }
+  options.push(...(VIDEO_CODEC_OPTIONS[videoCodec] || []));
+  
+  return options;
+}
 
-// 1단계: 프로젝트 생성 (settings.json만 받음)
-app.post('/api/create-project', async (req, res) => {
-  try {
-    console.log('\n🚀 === 프로젝트 생성 요청 ===');
-    
-    const { settings } = req.body;
-    if (!settings) {
-      return res.status(400).json({ error: 'settings.json 데이터가 필요합니다' });
+// 인코딩 설정 → FFmpeg 출력 옵션 (허용 목록 값만 사용)
+// copyVideo: 이미 인코딩된 씬 세그먼트를 이어 붙일 때 비디오는 재인코딩하지 않음
+function buildEncodingOptions(encoding, { copyVideo = false } = {}) {
+  const options = [];
+  const { videoCodec, container } = encoding;
+  
+  if (videoCodec) {
+    options.push(...(copyVideo ? ['-c:v', 'copy'] : buildVideoCodecOptions(encoding)));
+    if (videoCodec === 'libx265' && ['mp4', 'mov'].includes(container)) {
+      // Apple 플레이어 호환 (hev1 대신 hvc1 태그)
+      options.push('-tag:v', 'hvc1');
     }
-    
-    const projectId = uuidv4();
-    const projectDir = path.join(uploadDir, projectId);
-    await fs.ensureDir(projectDir);
-    
-    // settings.json 파일 저장
-    await fs.writeJson(path.join(projectDir, 'settings.json'), settings, { spaces: 2 });
-    
-    // 필요한 파일 목록 생성
-    const requiredFiles = extractRequiredFiles(settings);
-    
-    const projectData = {
-      id: projectId,
-      settings,
-      requiredFiles,
-      uploadedFiles: new Map(),
-      status: 'created',
-      createdAt: new Date().toISOString(),
-      projectDir
-    };
-    
-    projects.set(projectId, projectData);
-    projectFiles.set(projectId, new Map());
-    
-    console.log(`✅ 프로젝트 생성 완료: ${projectId}`);
-    console.log(`📋 필요한 파일 수: ${requiredFiles.length}`);
-    console.log('📝 필요한 파일들:', requiredFiles);
-    
-    res.json({
-      success: true,
-      projectId,
-      requiredFiles,
-      message: `프로젝트가 생성되었습니다. ${requiredFiles.length}개의 파일이 필요합니다.`
-    });
-    
-  } catch (error) {
-    console.error('❌ 프로젝트 생성 오류:', error);
-    res.status(500).json({ error: '프로젝트 생성 중 오류가 발생했습니다', details: error.message });
+  } else {
+    options.push('-vn');
   }
-});
+  
+  options.push('-c:a', encoding.audioCodec);
+  if (encoding.audioBitrate && encoding.audioCodec !== 'pcm_s16le') {
+    options.push('-b:a', encoding.audioBitrate);
+  }
+  
+  if (['mp4', 'mov'].includes(container)) {
+    options.push('-movflags', '+faststart');
+  }
+  
+  return options;
+}
 
-// 2단계: 파일 개별 업로드
-app.post('/api/upload-file/:projectId', upload.single('file'), async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { fileName } = req.body;
-    
-    console.log(`\n📤 === 파일 업로드: ${projectId} ===`);
-    console.log(`📁 파일명: ${fileName}`);
-    
-    const project = projects.get(projectId);
-    if (!project) {
-      return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
+// 렌디션 프리셋 (짧은 변 기준 픽셀, 세로 영상은 가로 폭이 기준)
+const RENDITION_PRESETS = {
+  '2160p': 2160,
+  '1440p': 1440,
+  '1080p': 1080,
+  '720p': 720,
+  '480p': 480,
+  '360p': 360
+};
+
+// 요청한 렌디션 이름 → 출력 크기 (원본 비율 유지, 원본보다 큰 렌디션은 오류)
+function resolveRenditions(settings, names) {
+  const { width, height } = resolveOutputFormat(settings);
+  const shortSide = Math.min(width, height);
+  
+  return names.map(name => {
+    const target = RENDITION_PRESETS[name];
+    if (!target) {
+      throw new Error(`지원하지 않는 렌디션: ${name} (사용 가능: ${Object.keys(RENDITION_PRESETS).join(', ')})`);
+    }
+    if (target > shortSide) {
+      throw new Error(`렌디션 ${name}이(가) 출력 해상도 ${width}x${height}보다 큽니다`);
+    }
+    
+    const scale = target / shortSide;
+    return {
+      name,
+      width: Math.round((width * scale) / 2) * 2,
+      height: Math.round((height * scale) / 2) * 2
+    };
+  });
+}
+
+// 미리보기 렌더링: 프로필과 관계없이 360p, ultrafast로 빠르게 인코딩
+const PREVIEW_RENDITION = '360p';
+const PREVIEW_ENCODING = {
+  ...ENCODING_PROFILES['web-h264'],
+  profile: 'preview',
+  preset: 'ultrafast',
+  crf: 28,
+  audioBitrate: '96k',
+  overrides: {}
+};
+
+// 미리보기 인코딩과 렌디션 (오디오 전용 프로젝트는 원래 인코딩 그대로, 360p 이하 출력은 축소하지 않음)
+function resolvePreviewEncoding(settings) {
+  const encoding = resolveEncodingSettings(settings);
+  if (!encoding.videoCodec) return { encoding, renditionNames: [] };
+  
+  const { width, height } = resolveOutputFormat(settings);
+  return {
+    encoding: PREVIEW_ENCODING,
+    renditionNames: Math.min(width, height) > RENDITION_PRESETS[PREVIEW_RENDITION] ? [PREVIEW_RENDITION] : []
+  };
+}
+
+// 미리보기 구간 요청 검증 ({ scenes: { from, to } } 또는 { start, end }, 둘 다 없으면 전체)
+function resolvePreviewRange(body, sceneCount) {
+  const { scenes, start, end } = body || {};
+  
+  if (scenes !== undefined) {
+    if (start !== undefined || end !== undefined) {
+      throw new Error('scenes와 start/end는 함께 지정할 수 없습니다');
+    }
+    const { from = 0, to = sceneCount - 1 } = scenes || {};
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to >= sceneCount || from > to) {
+      throw new Error(`scenes는 0 이상 ${sceneCount - 1} 이하의 { from, to } 씬 번호여야 합니다 (from <= to)`);
+    }
+    return { scenes: { from, to } };
+  }
+  
+  if (start !== undefined || end !== undefined) {
+    const windowStart = start === undefined ? 0 : start;
+    if (typeof windowStart !== 'number' || windowStart < 0 || (end !== undefined && (typeof end !== 'number' || end <= windowStart))) {
+      throw new Error('start/end는 0 이상의 초 단위 숫자여야 합니다 (start < end)');
+    }
+    return end === undefined ? { start: windowStart } : { start: windowStart, end };
+  }
+  
+  return null;
+}
+
+// 합성 결과를 렌디션 수만큼 분기해 크기 조정 (한 번 렌더링으로 여러 인코더에 전달)
+function buildRenditionFilter(renditions, videoStream, audioStream) {
+  let filter = '';
+  const videoLabels = renditions.map((_, index) => `[rendition_split${index}]`);
+  const audioLabels = renditions.map((_, index) => `[rendition_audio${index}]`);
+  
+  if (videoStream) {
+    filter += `${videoStream}split=${renditions.length}${videoLabels.join('')};`;
+    renditions.forEach((rendition, index) => {
+      filter += `${videoLabels[index]}scale=${rendition.width}:${rendition.height}[rendition${index}];`;
+    });
+  }
+  if (audioStream) {
+    filter += `${audioStream}asplit=${renditions.length}${audioLabels.join('')};`;
+  }
+  
+  return {
+    filter,
+    streams: renditions.map((_, index) => ({
+      video: videoStream ? `[rendition${index}]` : null,
+      audio: audioStream ? audioLabels[index] : null
+    }))
+  };
+}
+
+// 씬 길이(초)
+function getSceneDuration(scene) {
+  return scene.duration || DEFAULT_SCENE_DURATION;
+}
+
+// 씬 i와 i+1 사이 전환 효과 (길이는 양쪽 씬 길이의 절반을 넘지 않도록 제한)
+function resolveSceneTransition(scenes, index) {
+  const transition = scenes[index].transition;
+  const nextScene = scenes[index + 1];
+  if (!transition || !nextScene || transition.type === 'none') return null;
+  
+  const maxDuration = Math.min(getSceneDuration(scenes[index]), getSceneDuration(nextScene)) / 2;
+  const duration = Math.min(transition.duration || DEFAULT_TRANSITION_DURATION, maxDuration);
+  
+  return { type: transition.type || 'fade', duration };
+}
+
+// 씬 타임라인: 전환 효과로 겹치는 구간을 반영한 시작 시각과 전체 길이
+function computeSceneTimeline(scenes) {
+  const startTimes = [];
+  const transitions = [];
+  let elapsed = 0;
+  
+  scenes.forEach((scene, index) => {
+    startTimes.push(elapsed);
+    const transition = resolveSceneTransition(scenes, index);
+    transitions.push(transition);
+    elapsed += getSceneDuration(scene) - (transition ? transition.duration : 0);
+  });
+  
+  return { startTimes, transitions, totalDuration: elapsed };
+}
+
+// 씬 자막 표시 구간 (전환 구간에서는 중간 지점에서 다음 자막으로 교체)
+function getSceneCaptionWindow(timeline, scenes, index) {
+  const incoming = index > 0 ? timeline.transitions[index - 1] : null;
+  const outgoing = timeline.transitions[index];
+  const sceneStart = timeline.startTimes[index];
+  
+  return {
+    startTime: sceneStart + (incoming ? incoming.duration / 2 : 0),
+    endTime: sceneStart + getSceneDuration(scenes[index]) - (outgoing ? outgoing.duration / 2 : 0)
+  };
+}
+
+// 번인된 씬 자막을 자막 큐 목록으로 변환 (화면 전환 시점과 같은 타이밍)
+function buildCaptionCues(scenes, timeline) {
+  return scenes
+    .map((scene, index) => ({ scene, index }))
+    .filter(({ scene }) => scene.subtitle && scene.subtitle.text)
+    .map(({ scene, index }) => ({
+      ...getSceneCaptionWindow(timeline, scenes, index),
+      text: scene.subtitle.text
+    }));
+}
+
+// 자막 큐 목록을 SRT/WebVTT 파일 내용으로 직렬화
+function formatCaptionFile(cues, format) {
+  const blocks = cues.map((cue, index) => {
+    const timing = `${formatSubtitleTime(cue.startTime, format)} --> ${formatSubtitleTime(cue.endTime, format)}`;
+    if (format === 'srt') {
+      return `${index + 1}\n${timing}\n${cue.text}`;
+    }
+    const text = cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `${timing}\n${text}`;
+  });
+  
+  if (format === 'vtt') blocks.unshift('WEBVTT');
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// 소프트 자막 트랙 코덱 (출력 컨테이너별)
+const SOFT_SUBTITLE_CODECS = {
+  '.mp4': 'mov_text',
+  '.mov': 'mov_text',
+  '.mkv': 'srt',
+  '.webm': 'webvtt'
+};
+
+// ISO 639-1 → ISO 639-2 (MP4 언어 메타데이터는 세 글자 코드만 인식)
+const ISO639_2_CODES = {
+  ko: 'kor', en: 'eng', ja: 'jpn', zh: 'zho', es: 'spa', fr: 'fra', de: 'deu', it: 'ita',
+  pt: 'por', ru: 'rus', vi: 'vie', th: 'tha', id: 'ind', ar: 'ara', hi: 'hin'
+};
+
+function toISO639_2(language) {
+  return ISO639_2_CODES[language] || language;
+}
+
+// 소프트 자막 트랙 목록 (기본 text 트랙 + translations 언어별 트랙)
+// 번역이 없는 씬은 해당 언어 트랙에서 빠짐
+function buildSubtitleTracks(settings, scenes, timeline) {
+  const tracks = [{ language: settings.subtitleLanguage || 'und', cues: buildCaptionCues(scenes, timeline) }];
+  
+  scenes.forEach((scene, index) => {
+    const translations = (scene.subtitle && scene.subtitle.translations) || {};
+    for (const [language, text] of Object.entries(translations)) {
+      let track = tracks.find(t => t.language === language);
+      if (!track) {
+        track = { language, cues: [] };
+        tracks.push(track);
+      }
+      track.cues.push({ ...getSceneCaptionWindow(timeline, scenes, index), text });
+    }
+  });
+  
+  return tracks.filter(track => track.cues.length > 0);
+}
+
+// 소프트 자막 트랙별 SRT 파일을 작업 디렉토리에 생성
+async function prepareSoftSubtitleTracks(settings, scenes, timeline, workDir) {
+  const tracks = buildSubtitleTracks(settings, scenes, timeline);
+  if (tracks.length === 0) return [];
+  
+  await fs.ensureDir(workDir);
+  for (const [index, track] of tracks.entries()) {
+    track.path = path.join(workDir, `track-${index}-${track.language}.srt`);
+    await fs.writeFile(track.path, formatCaptionFile(track.cues, 'srt'));
+    console.log(`💬 소프트 자막 트랙: ${track.language} (${track.cues.length}개 큐)`);
+  }
+  
+  return tracks;
+}
+
+// 소프트 자막 트랙 매핑/코덱/언어 메타데이터 출력 옵션
+function buildSubtitleTrackOptions(tracks, outputExt) {
+  if (tracks.length === 0) return [];
+  
+  const options = [];
+  tracks.forEach((track, index) => {
+    options.push(
+      '-map', `${track.inputIndex}:s`,
+      `-metadata:s:s:${index}`, `language=${toISO639_2(track.language)}`,
+      `-disposition:s:${index}`, index === 0 ? 'default' : '0'
+    );
+  });
+  options.push('-c:s', SOFT_SUBTITLE_CODECS[outputExt] || 'mov_text');
+  
+  return options;
+}
+
+// 출력 파일 경로 → /output URL (output/<projectId>/ 하위 경로 포함)
+function toOutputUrl(filePath) {
+  return `/output/${path.relative(outputDir, filePath).split(path.sep).join('/')}`;
+}
+
+// 렌디션 목록 (출력 경로를 /output URL로 변환)
+function serializeRenditions(renditions) {
+  if (!renditions) return null;
+  return renditions.map(({ outputPath, ...rendition }) => ({ ...rendition, outputPath: toOutputUrl(outputPath) }));
+}
+
+// 사이드카 자막 파일 URL 목록 ({ srt, vtt })
+function serializeCaptions(captions) {
+  if (!captions) return null;
+  return Object.fromEntries(Object.entries(captions).map(([format, filePath]) => [format, toOutputUrl(filePath)]));
+}
+
+// 씬 스트림 연결 (전환 효과가 있으면 xfade/acrossfade, 없으면 concat)
+function buildSceneJoinFilter(segmentLabels, timeline, outputLabel, mediaType) {
+  const concatOptions = mediaType === 'video' ? 'v=1:a=0' : 'v=0:a=1';
+  
+  if (!timeline.transitions.some(Boolean)) {
+    return `${segmentLabels.join('')}concat=n=${segmentLabels.length}:${concatOptions}${outputLabel};`;
+  }
+  
+  let filter = '';
+  let current = segmentLabels[0];
+  for (let i = 1; i < segmentLabels.length; i++) {
+    const transition = timeline.transitions[i - 1];
+    const next = i === segmentLabels.length - 1 ? outputLabel : `[${mediaType}_join${i}]`;
+    
+    if (!transition) {
+      filter += `${current}${segmentLabels[i]}concat=n=2:${concatOptions}${next};`;
+    } else if (mediaType === 'video') {
+      filter += `${current}${segmentLabels[i]}xfade=transition=${transition.type}:duration=${transition.duration}:offset=${timeline.startTimes[i]}${next};`;
+    } else {
+      filter += `${current}${segmentLabels[i]}acrossfade=d=${transition.duration}${next};`;
+    }
+    current = next;
+  }
+  return filter;
+}
+
+// 씬 이미지를 출력 프레임에 맞추는 필터 (pad | crop | stretch | blur-background)
+function buildFitFilter(inputLabel, outputLabel, fit, { width, height }, labelPrefix) {
+  switch (fit) {
+    case 'crop':
+      return `${inputLabel}scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}${outputLabel}`;
+    case 'stretch':
+      return `${inputLabel}scale=${width}:${height}${outputLabel}`;
+    case 'blur-background':
+      // 흐린 확대본을 배경으로 깔고 원본 비율 이미지를 가운데 배치
+      return [
+        `${inputLabel}split=2[${labelPrefix}_bg][${labelPrefix}_fg]`,
+        `[${labelPrefix}_bg]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:5[${labelPrefix}_blur]`,
+        `[${labelPrefix}_fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[${labelPrefix}_main]`,
+        `[${labelPrefix}_blur][${labelPrefix}_main]overlay=(W-w)/2:(H-h)/2${outputLabel}`
+      ].join(';');
+    case 'pad':
+    default:
+      return `${inputLabel}scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2${outputLabel}`;
+  }
+}
+
+// 카메라 이동 프리셋을 시작/끝 사각형(프레임 기준 0~1 좌표)으로 변환
+function resolveMotionRects(motion) {
+  const type = typeof motion === 'string' ? motion : motion.type;
+  const zoom = (typeof motion === 'object' && motion.zoom) || DEFAULT_MOTION_ZOOM;
+  const size = 1 / zoom;
+  const centered = (1 - size) / 2;
+  
+  const full = { x: 0, y: 0, width: 1, height: 1 };
+  const center = { x: centered, y: centered, width: size, height: size };
+  
+  switch (type) {
+    case 'zoomIn':
+      return [full, center];
+    case 'zoomOut':
+      return [center, full];
+    case 'panLeft':
+      return [{ ...center, x: 1 - size }, { ...center, x: 0 }];
+    case 'panRight':
+      return [{ ...center, x: 0 }, { ...center, x: 1 - size }];
+    case 'panUp':
+      return [{ ...center, y: 1 - size }, { ...center, y: 0 }];
+    case 'panDown':
+      return [{ ...center, y: 0 }, { ...center, y: 1 - size }];
+    case 'custom':
+      // height를 생략하면 width와 같은 비율로 간주
+      return [motion.start, motion.end].map(rect => ({ height: rect.width, ...rect }));
+    default:
+      return null;
+  }
+}
+
+// 사각형을 출력 비율의 보이는 영역으로 변환 (더 긴 변 기준, 프레임 밖으로 나가지 않게 보정)
+function toMotionWindow(rect) {
+  const size = Math.min(1, Math.max(rect.width, rect.height));
+  const clamp = value => Math.min(Math.max(value, 0), 1 - size);
+  
+  return {
+    x: clamp(rect.x + rect.width / 2 - size / 2),
+    y: clamp(rect.y + rect.height / 2 - size / 2),
+    size
+  };
+}
+
+// 켄 번즈(pan/zoom) 필터: 프레임 번호(on)로 진행률을 계산해 zoompan 영역을 보간
+function buildMotionFilter(scene, duration, { width, height, fps }) {
+  if (!scene.motion || scene.motion === 'none') return '';
+  
+  const rects = resolveMotionRects(scene.motion);
+  if (!rects) return '';
+  
+  const [from, to] = rects.map(toMotionWindow);
+  const easing = (typeof scene.motion === 'object' && scene.motion.easing) || 'easeInOut';
+  const lastFrame = Math.max(1, Math.round(duration * fps) - 1);
+  const linear = `min(on/${lastFrame},1)`;
+  const progress = {
+    linear,
+    easeIn: `pow(${linear},2)`,
+    easeOut: `(1-pow(1-${linear},2))`,
+    easeInOut: `((1-cos(PI*${linear}))/2)`
+  }[easing] || linear;
+  
+  const round = value => Math.round(value * 1e6) / 1e6;
+  const lerp = (a, b) => `(${round(a)}+(${round(b - a)})*${progress})`;
+  
+  // 정수 좌표 반올림으로 인한 떨림을 줄이기 위해 확대한 뒤 zoompan 적용
+  return `,scale=${width * MOTION_SUPERSAMPLE}:${height * MOTION_SUPERSAMPLE}` +
+    `,zoompan=z='1/${lerp(from.size, to.size)}'` +
+    `:x='${lerp(from.x, to.x)}*iw':y='${lerp(from.y, to.y)}*ih'` +
+    `:d=1:s=${width}x${height}:fps=${fps},setsar=1`;
+}
+
+// 씬 하나의 비디오 필터 체인 (맞춤 → 씬 길이만큼 채우고 자르기 → 카메라 이동)
+// - 이미지: 첫 프레임을 반복
+// - 영상 클립: in/out 구간을 잘라 속도를 적용하고, 씬보다 짧으면 마지막 프레임을 유지
+function buildSceneVideoFilter(index, scene, outputFormat) {
+  const duration = getSceneDuration(scene);
+  const fit = scene.fit || outputFormat.fit;
+  const motion = buildMotionFilter(scene, duration, outputFormat);
+  const { clip } = scene;
+  
+  if (clip) {
+    const holdLastFrame = clip.length < duration ? `,tpad=stop_mode=clone:stop_duration=${duration - clip.length}` : '';
+    
+    return [
+      `[${index}:v]trim=start=${clip.in}:end=${clip.out},setpts=(PTS-STARTPTS)/${clip.speed}[src${index}]`,
+      buildFitFilter(`[src${index}]`, `[fit${index}]`, fit, outputFormat, `s${index}`),
+      `[fit${index}]setsar=1,fps=${outputFormat.fps}${holdLastFrame},trim=duration=${duration},setpts=PTS-STARTPTS${motion}[v${index}]`
+    ].join(';');
+  }
+  
+  return [
+    buildFitFilter(`[${index}:v]`, `[fit${index}]`, fit, outputFormat, `s${index}`),
+    `[fit${index}]setsar=1,loop=loop=-1:size=1:start=0,fps=${outputFormat.fps},trim=duration=${duration},setpts=PTS-STARTPTS${motion}[v${index}]`
+  ].join(';');
+}
+
+// atempo는 0.5~2.0 배속만 지원하므로 범위를 벗어나면 여러 단계로 나눔
+function buildAtempoChain(speed) {
+  const filters = [];
+  let remaining = speed;
+  
+  while (remaining > 2) {
+    filters.push('atempo=2.0');
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  if (remaining !== 1) {
+    filters.push(`atempo=${remaining}`);
+  }
+  return filters.join(',');
+}
+
+// ffprobe로 미디어 길이(초)와 오디오 스트림 유무 확인
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(new Error(`ffprobe 실패 (${path.basename(filePath)}): ${err.message}`));
+      
+      const duration = parseFloat(metadata.format && metadata.format.duration);
+      if (!Number.isFinite(duration) || duration <= 0) {
+        return reject(new Error(`미디어 길이를 확인할 수 없습니다: ${path.basename(filePath)}`));
+      }
+      resolve({
+        duration,
+        hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio')
+      });
+    });
+  });
+}
+
+// 씬 길이 결정
+// - fromAudio: TTS 길이 사용
+// - fromVideo 또는 duration이 없는 영상 씬: 잘라낸 클립 길이(속도 반영) 사용
+async function resolveSceneDurations(settings, fileMapping) {
+  const scenes = [];
+  
+  for (const [index, scene] of settings.scenes.entries()) {
+    const durationMode = scene.durationMode || settings.durationMode || 'fixed';
+    const timedScene = { ...scene, duration: getSceneDuration(scene) };
+    
+    if (scene.video) {
+      const clip = resolveClipSettings(scene.video);
+      const media = await probeMedia(fileMapping.get(clip.file));
+      const clipEnd = Math.min(clip.out ?? media.duration, media.duration);
+      
+      if (clipEnd <= clip.in) {
+        throw new Error(`씬 ${index}의 영상 구간이 올바르지 않습니다 (in: ${clip.in}, out: ${clipEnd})`);
+      }
+      
+      timedScene.clip = { ...clip, out: clipEnd, hasAudio: media.hasAudio, length: (clipEnd - clip.in) / clip.speed };
+      if (durationMode === 'fromVideo' || scene.duration === undefined) {
+        timedScene.duration = timedScene.clip.length;
+        console.log(`⏱️  씬 ${index} 길이를 영상 클립 길이로 설정: ${timedScene.duration.toFixed(3)}s`);
+      }
+    }
+    
+    if (durationMode === 'fromAudio' && scene.tts) {
+      const tts = await probeMedia(fileMapping.get(scene.tts));
+      timedScene.duration = tts.duration;
+      console.log(`⏱️  씬 ${index} 길이를 TTS 길이로 설정: ${tts.duration.toFixed(3)}s`);
+    }
+    
+    scenes.push(timedScene);
+  }
+  
+  return scenes;
+}
+
+// 업로드 진행률 계산
+// (settings에서 참조하지 않는 추가 업로드 파일은 세지 않음)
+function computeUploadProgress(project) {
+  const uploaded = project.requiredFiles.filter(fileName => project.uploadedFiles.has(fileName)).length;
+  
+  return {
+    uploaded,
+    total: project.requiredFiles.length,
+    percentage: Math.round((uploaded / project.requiredFiles.length) * 100)
+  };
+}
+
+// FFmpeg 시간 표기(HH:MM:SS.ms)를 초 단위로 변환
+function parseFFmpegTime(timemark) {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(timemark);
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+// FFmpeg 진행 출력 줄의 time= 값 (초), 없으면 null
+function readRenderedSeconds(stderrLine) {
+  const timeMatch = /time=\s*(\d+:\d{2}:\d{2}(?:\.\d+)?)/.exec(stderrLine);
+  return timeMatch ? parseFFmpegTime(timeMatch[1]) : null;
+}
+
+// ===== 실시간 이벤트 (SSE) =====
+
+// 프로젝트 구독자들에게 이벤트 전송
+function emitProjectEvent(projectId, event, data) {
+  const clients = projectEventClients.get(projectId);
+  if (!clients || clients.size === 0) return;
+  
+  const payload = `event: ${event}\ndata: ${JSON.stringify({ projectId, ...data, timestamp: new Date().toISOString() })}\n\n`;
+  for (const res of clients) {
+    res.write(payload);
+  }
+}
+
+// 프로젝트 처리 단계 변경
+function setProjectPhase(project, phase, extra = {}) {
+  project.phase = phase;
+  emitProjectEvent(project.id, 'phase', { phase, status: project.status, ...extra });
+}
+
+// 후처리용 FFmpeg 명령 실행 (패키징, 썸네일, 씬 세그먼트 등)
+// onStderr: 진행률 계산이 필요한 경우 FFmpeg 출력 줄마다 호출
+function runFFmpegCommand(ffmpegCommand, label, onStderr = null) {
+  return new Promise((resolve, reject) => {
+    if (onStderr) ffmpegCommand.on('stderr', onStderr);
+    ffmpegCommand
+      .on('start', (commandLine) => {
+        console.log(`${label} 시작:`);
+        console.log(commandLine);
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error(`❌ ${label} 오류:`, err.message);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+// 스트리밍 패키징 형식별 매니페스트 파일명
+const STREAMING_MANIFESTS = {
+  hls: 'master.m3u8',
+  dash: 'manifest.mpd'
+};
+const STREAMING_SEGMENT_DURATION = 4; // 세그먼트 길이(초)
+
+// 재인코딩 없이 패키징할 수 있는 코덱 (MPEG-TS/fMP4 세그먼트)
+const STREAMING_VIDEO_CODECS = ['libx264', 'libx265'];
+const STREAMING_AUDIO_CODECS = ['aac'];
+
+// 스트리밍 패키지 URL 목록 ({ hls, dash })
+function serializeStreaming(streaming) {
+  if (!streaming) return null;
+  return Object.fromEntries(Object.entries(streaming).map(([format, filePath]) => [format, toOutputUrl(filePath)]));
+}
+
+// 패키징 형식별 FFmpeg 출력 옵션 (입력 = 렌디션별 출력 파일, 스트림 복사)
+function buildPackagingOptions(format, sourceCount, hasAudio, formatDir, videoCodec) {
+  const sources = Array.from({ length: sourceCount }, (_, index) => index);
+  
+  if (format === 'hls') {
+    // 렌디션마다 비디오+오디오 변형 스트림 하나 (master.m3u8에서 묶음)
+    const maps = sources.flatMap(index => ['-map', `${index}:v:0`, ...(hasAudio ? ['-map', `${index}:a:0`] : [])]);
+    const variants = sources.map(index => (hasAudio ? `v:${index},a:${index}` : `v:${index}`));
+    // HEVC는 MPEG-TS 세그먼트로 재생되지 않으므로 (Apple HLS 규격, hls.js) fMP4 세그먼트 + hvc1 태그 사용
+    const segmentOptions = videoCodec === 'libx265'
+      ? [
+        '-tag:v', 'hvc1',
+        '-hls_segment_type', 'fmp4', // 초기화 세그먼트: init.mp4 (변형 스트림이 여러 개면 init_<번호>.mp4)
+        '-hls_segment_filename', path.join(formatDir, 'stream_%v_%03d.m4s')
+      ]
+      : ['-hls_segment_filename', path.join(formatDir, 'stream_%v_%03d.ts')];
+    return [
+      ...maps,
+      '-c', 'copy',
+      '-f', 'hls',
+      '-hls_time', String(STREAMING_SEGMENT_DURATION),
+      '-hls_list_size', '0', // 모든 세그먼트 유지 (VOD)
+      ...segmentOptions,
+      '-master_pl_name', STREAMING_MANIFESTS.hls,
+      '-var_stream_map', variants.join(' ')
+    ];
+  }
+  
+  // DASH: 비디오 렌디션은 하나의 적응 세트, 오디오는 첫 번째 입력에서 한 번만
+  const maps = [...sources.flatMap(index => ['-map', `${index}:v:0`]), ...(hasAudio ? ['-map', '0:a:0'] : [])];
+  const adaptationSets = [`id=0,streams=${sources.join(',')}`, ...(hasAudio ? [`id=1,streams=${sourceCount}`] : [])];
+  return [
+    ...maps,
+    '-c', 'copy',
+    '-f', 'dash',
+    '-seg_duration', String(STREAMING_SEGMENT_DURATION),
+    '-use_template', '1',
+    '-use_timeline', '1',
+    '-adaptation_sets', adaptationSets.join(' ')
+  ];
+}
+
+// HLS/DASH 패키징 (output/<projectId>/<형식>/에 매니페스트와 세그먼트 생성)
+// 반환값: { hls?: 매니페스트 경로, dash?: 매니페스트 경로 }
+async function packageStreams(project, sourcePaths, formats) {
+  const { hasAudio } = await probeMedia(sourcePaths[0]);
+  const { videoCodec } = resolveEncodingSettings(project.settings);
+  const streaming = {};
+  
+  for (const format of formats) {
+    const formatDir = path.join(outputDir, project.id, format);
+    await fs.emptyDir(formatDir);
+    
+    const manifestPath = path.join(formatDir, STREAMING_MANIFESTS[format]);
+    const outputPath = format === 'hls' ? path.join(formatDir, 'stream_%v.m3u8') : manifestPath;
+    
+    const ffmpegCommand = ffmpeg();
+    sourcePaths.forEach(sourcePath => ffmpegCommand.input(sourcePath));
+    
+    // 인자를 펼쳐 전달해야 공백이 든 값(var_stream_map 등)을 fluent-ffmpeg가 나누지 않음
+    ffmpegCommand
+      .outputOptions(...buildPackagingOptions(format, sourcePaths.length, hasAudio, formatDir, videoCodec))
+      .output(outputPath);
+    await runFFmpegCommand(ffmpegCommand, `📦 ${format.toUpperCase()} 패키징`);
+    
+    streaming[format] = manifestPath;
+    console.log(`✅ ${format.toUpperCase()} 패키징 완료: ${toOutputUrl(manifestPath)}`);
+  }
+  
+  return streaming;
+}
+
+// 썸네일 기본값
+const DEFAULT_SPRITE_INTERVAL = 5;
+const DEFAULT_SPRITE_WIDTH = 160;
+const DEFAULT_SPRITE_COLUMNS = 10;
+const MAX_SPRITE_THUMBNAILS = 200; // 긴 영상은 간격을 늘려 스프라이트 크기 제한
+const DEFAULT_ANIMATED_PREVIEW = { format: 'gif', duration: 3, width: 320, fps: 10 };
+
+// settings.thumbnails 정규화
+function resolveThumbnailSettings(settings) {
+  const config = settings.thumbnails || {};
+  return {
+    poster: config.poster || {},
+    sprite: config.sprite === false ? null : {
+      interval: DEFAULT_SPRITE_INTERVAL,
+      width: DEFAULT_SPRITE_WIDTH,
+      columns: DEFAULT_SPRITE_COLUMNS,
+      ...config.sprite
+    },
+    animatedPreview: config.animatedPreview ? { ...DEFAULT_ANIMATED_PREVIEW, ...config.animatedPreview } : null
+  };
+}
+
+// 썸네일 파일 URL 목록 ({ poster, sprite, track, preview })
+function serializeThumbnails(thumbnails) {
+  if (!thumbnails) return null;
+  return Object.fromEntries(Object.entries(thumbnails).map(([kind, filePath]) => [kind, toOutputUrl(filePath)]));
+}
+
+// 스프라이트 시트 좌표를 가리키는 WebVTT 썸네일 트랙
+function formatThumbnailTrack(spriteFileName, { count, interval, columns, width, height, duration }) {
+  const cues = Array.from({ length: count }, (_, index) => {
+    const startTime = index * interval;
+    const endTime = Math.min((index + 1) * interval, duration);
+    const x = (index % columns) * width;
+    const y = Math.floor(index / columns) * height;
+    return `${formatSubtitleTime(startTime, 'vtt')} --> ${formatSubtitleTime(endTime, 'vtt')}\n${spriteFileName}#xywh=${x},${y},${width},${height}`;
+  });
+  return `${['WEBVTT', ...cues].join('\n\n')}\n`;
+}
+
+// 렌더링 결과에서 포스터, 스프라이트 시트 + WebVTT 트랙, 애니메이션 미리보기 생성
+// timeline: assembleVideo()가 반환한 { duration, sceneWindows }
+// 반환값: { poster, sprite?, track?, preview? } (output/<projectId>/thumbnails/ 파일 경로)
+async function generateThumbnails(project, sourcePath, timeline) {
+  const config = resolveThumbnailSettings(project.settings);
+  const { width: videoWidth, height: videoHeight } = resolveOutputFormat(project.settings);
+  const thumbnailDir = path.join(outputDir, project.id, 'thumbnails');
+  await fs.emptyDir(thumbnailDir);
+  
+  const thumbnails = {};
+  
+  // 포스터: 지정 시각 또는 씬의 완전히 보이는 구간 중간 (기본값: 첫 씬)
+  const sceneWindow = timeline.sceneWindows[config.poster.scene || 0];
+  const posterTime = config.poster.time !== undefined
+    ? config.poster.time
+    : (sceneWindow.startTime + sceneWindow.endTime) / 2;
+  thumbnails.poster = path.join(thumbnailDir, 'poster.jpg');
+  await runFFmpegCommand(
+    ffmpeg(sourcePath)
+      .inputOptions(['-ss', String(Math.min(posterTime, Math.max(0, timeline.duration - 0.1)))])
+      .outputOptions(['-frames:v', '1', '-q:v', '2'])
+      .output(thumbnails.poster),
+    '🖼️  포스터 생성'
+  );
+  
+  // 스프라이트 시트 + WebVTT 썸네일 트랙 (탐색 막대 미리보기용)
+  if (config.sprite) {
+    const interval = Math.max(config.sprite.interval, timeline.duration / MAX_SPRITE_THUMBNAILS);
+    const count = Math.max(1, Math.ceil(timeline.duration / interval));
+    const columns = Math.min(config.sprite.columns, count);
+    const rows = Math.ceil(count / columns);
+    const width = config.sprite.width;
+    const height = Math.round((width * videoHeight) / videoWidth / 2) * 2;
+    
+    thumbnails.sprite = path.join(thumbnailDir, 'sprite.jpg');
+    await runFFmpegCommand(
+      ffmpeg(sourcePath)
+        .outputOptions([
+          '-vf', `fps=1/${interval},scale=${width}:${height},tile=${columns}x${rows}`,
+          '-frames:v', '1',
+          '-q:v', '4'
+        ])
+        .output(thumbnails.sprite),
+      '🎞️  스프라이트 시트 생성'
+    );
+    
+    thumbnails.track = path.join(thumbnailDir, 'thumbnails.vtt');
+    await fs.writeFile(thumbnails.track, formatThumbnailTrack(path.basename(thumbnails.sprite), {
+      count, interval, columns, width, height, duration: timeline.duration
+    }));
+  }
+  
+  // 앞부분 애니메이션 미리보기 (GIF는 팔레트를 만들어 화질 보정)
+  if (config.animatedPreview) {
+    const { format, duration, width, fps } = config.animatedPreview;
+    const scaleFilter = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+    thumbnails.preview = path.join(thumbnailDir, `preview.${format}`);
+    await runFFmpegCommand(
+      ffmpeg(sourcePath)
+        .inputOptions(['-t', String(duration)])
+        .outputOptions(format === 'gif'
+          ? ['-filter_complex', `[0:v]${scaleFilter},split[frames][palette_in];[palette_in]palettegen[palette];[frames][palette]paletteuse`, '-loop', '0']
+          : ['-vf', scaleFilter, '-c:v', 'libwebp', '-lossless', '0', '-q:v', '60', '-loop', '0'])
+        .noAudio()
+        .output(thumbnails.preview),
+      `🎬 ${format.toUpperCase()} 미리보기 생성`
+    );
+  }
+  
+  return thumbnails;
+}
+
+// ===== 씬 세그먼트 캐시 =====
+
+// 파일 내용 해시 (크기와 수정 시각이 같으면 이전 결과 재사용)
+async function hashFileContents(filePath) {
+  const stat = await fs.stat(filePath);
+  const cached = fileHashes.get(filePath);
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+    return cached.hash;
+  }
+  
+  const hash = await computeFileChecksum(filePath, 'sha256');
+  fileHashes.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, hash });
+  return hash;
+}
+
+// 씬 세그먼트로 나눠 렌더링할 수 없는 이유 (없으면 null)
+// 전환 효과는 인접한 씬을 겹쳐 합성하므로 씬 단위로 분리할 수 없음
+function findSegmentCacheBlocker({ encoding, timeline, timeWindow, segmentCache }) {
+  if (SEGMENT_CACHE_MAX_SIZE === 0) return 'SEGMENT_CACHE_MAX_SIZE_MB=0';
+  if (segmentCache === false) return '요청에서 캐시 사용 안 함';
+  if (!encoding.videoCodec) return '오디오 전용 출력';
+  if (timeWindow) return '구간 출력';
+  if (timeline.transitions.some(Boolean)) return '씬 전환 효과';
+  return null;
+}
+
+// 씬 하나의 비디오 필터 (씬 화면 → 씬 자막 → 자막 파일 번인, 입력 번호 0)
+// 자막 파일은 영상 전체 기준 시간으로 이동되어 있으므로 번인하는 동안만 타임스탬프를 씬 시작 시각으로 옮김
+function buildSceneSegmentFilter(context, index) {
+  const { settings, scenes, timeline, outputFormat, drawTextFonts, subtitleFileFilters, softSubtitles } = context;
+  const scene = scenes[index];
+  const sceneStart = timeline.startTimes[index];
+  const chain = [];
+  
+  if (!softSubtitles && scene.subtitle && scene.subtitle.text) {
+    const captionWindow = getSceneCaptionWindow(timeline, scenes, index);
+    const style = resolveSubtitleStyle(settings, scene.subtitle);
+    chain.push(...buildSubtitleFilters(scene.subtitle.text, style, {
+      startTime: captionWindow.startTime - sceneStart,
+      endTime: captionWindow.endTime - sceneStart
+    }, outputFormat, drawTextFonts));
+  }
+  
+  const subtitleFiles = subtitleFileFilters.filter(entry => entry.sceneIndex === null || entry.sceneIndex === index);
+  if (subtitleFiles.length > 0) {
+    chain.push(`setpts=PTS+${sceneStart}/TB`, ...subtitleFiles.map(entry => entry.filter), 'setpts=PTS-STARTPTS');
+  }
+  
+  const sceneFilter = buildSceneVideoFilter(0, scene, outputFormat);
+  return {
+    filter: chain.length > 0 ? `${sceneFilter};[v0]${chain.join(',')}[scene]` : sceneFilter,
+    stream: chain.length > 0 ? '[scene]' : '[v0]',
+    subtitleFiles
+  };
+}
+
+// 씬 세그먼트 캐시 키: 필터 구성 + 비디오 인코딩 옵션 + 출력 크기 + 입력 파일 내용
+// (경로가 바뀌어도 같은 내용이면 같은 키가 되도록 작업/프로젝트 디렉토리는 치환)
+async function computeSceneSegmentKey(context, index, sceneFilter, output) {
+  const { scenes, encoding, fileMapping, projectDir, workDir } = context;
+  const scene = scenes[index];
+  const style = scene.subtitle ? resolveSubtitleStyle(context.settings, scene.subtitle) : null;
+  
+  const inputFiles = [scene.clip ? scene.clip.file : scene.image];
+  if (style && style.fontFile) inputFiles.push(style.fontFile);
+  if (sceneFilter.subtitleFiles.length > 0) {
+    inputFiles.push(...sceneFilter.subtitleFiles.map(entry => entry.file));
+    inputFiles.push(...Array.from(fileMapping.keys()).filter(isFontFile));
+  }
+  
+  const inputs = {};
+  for (const fileName of inputFiles) {
+    inputs[fileName] = await hashFileContents(fileMapping.get(fileName));
+  }
+  
+  const material = JSON.stringify({
+    version: SEGMENT_CACHE_VERSION,
+    filter: sceneFilter.filter.split(workDir).join('<work>').split(projectDir).join('<project>'),
+    subtitleOffsets: sceneFilter.subtitleFiles.map(entry => entry.offset),
+    videoOptions: buildVideoCodecOptions(encoding),
+    output: { width: output.width, height: output.height, scaled: Boolean(output.name) },
+    inputs
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+// 씬마다 비디오 세그먼트를 캐시에서 찾거나 렌더링 (출력 또는 렌디션마다 하나씩)
+// 반환값: 출력 순서대로 [[씬 0 세그먼트 경로, 씬 1 세그먼트 경로, ...], ...]
+async function renderSceneSegments(context, outputs, onProgress) {
+  const { scenes, timeline } = context;
+  const segmentPaths = outputs.map(() => []);
+  let cachedCount = 0;
+  
+  await fs.ensureDir(SEGMENT_CACHE_DIR);
+  
+  for (const [index, scene] of scenes.entries()) {
+    const sceneFilter = buildSceneSegmentFilter(context, index);
+    const missing = [];
+    
+    for (const [outputIndex, output] of outputs.entries()) {
+      const key = await computeSceneSegmentKey(context, index, sceneFilter, output);
+      const segmentPath = path.join(SEGMENT_CACHE_DIR, `${key}.mkv`);
+      segmentPaths[outputIndex].push(segmentPath);
+      
+      if (await fs.pathExists(segmentPath)) {
+        // 최근 사용 시각 갱신 (오래 안 쓴 세그먼트부터 정리)
+        const now = new Date();
+        await fs.utimes(segmentPath, now, now);
+      } else {
+        missing.push({ ...output, segmentPath });
+      }
+    }
+    
+    const sceneStart = timeline.startTimes[index];
+    if (missing.length === 0) {
+      cachedCount++;
+      console.log(`♻️  씬 ${index} 세그먼트 캐시 사용`);
+    } else {
+      const ffmpegCommand = ffmpeg().input(context.fileMapping.get(scene.clip ? scene.clip.file : scene.image));
+      let filter = sceneFilter.filter;
+      let streams = missing.map(() => sceneFilter.stream);
+      
+      // 렌디션은 자막까지 합성한 뒤 크기 조정 (전체 렌더링과 같은 순서)
+      if (missing.some(output => output.name)) {
+        const renditionFilter = buildRenditionFilter(missing, sceneFilter.stream, null);
+        filter += `;${renditionFilter.filter.replace(/;$/, '')}`;
+        streams = renditionFilter.streams.map(stream => stream.video);
+      }
+      
+      ffmpegCommand.complexFilter(filter);
+      const tempPaths = missing.map(output => output.segmentPath.replace(/\.mkv$/, `.${uuidv4()}.tmp.mkv`));
+      missing.forEach((output, outputIndex) => {
+        ffmpegCommand
+          .output(tempPaths[outputIndex])
+          .outputOptions('-map', streams[outputIndex], '-an', ...buildVideoCodecOptions(context.encoding));
+      });
+      
+      try {
+        await runFFmpegCommand(ffmpegCommand, `🧩 씬 ${index} 세그먼트 렌더링`, (stderrLine) => {
+          const renderedSeconds = readRenderedSeconds(stderrLine);
+          if (renderedSeconds !== null) onProgress(sceneStart + Math.min(renderedSeconds, getSceneDuration(scene)));
+        });
+        for (const [outputIndex, output] of missing.entries()) {
+          await fs.move(tempPaths[outputIndex], output.segmentPath, { overwrite: true });
+        }
+      } finally {
+        await Promise.all(tempPaths.map(tempPath => fs.remove(tempPath)));
+      }
+    }
+    
+    onProgress(sceneStart + getSceneDuration(scene));
+  }
+  
+  console.log(`🧩 씬 세그먼트: ${scenes.length}개 중 ${cachedCount}개 캐시 사용, ${scenes.length - cachedCount}개 렌더링`);
+  return segmentPaths;
+}
+
+// 캐시 정리: 보관 기간이 지난 세그먼트와 최대 크기를 넘는 오래된 세그먼트 삭제
+// removeTemp: 서버 시작 시 중단된 렌더링이 남긴 임시 파일까지 삭제
+async function evictSegmentCache({ removeTemp = false } = {}) {
+  if (!(await fs.pathExists(SEGMENT_CACHE_DIR))) return;
+  
+  const entries = [];
+  for (const fileName of await fs.readdir(SEGMENT_CACHE_DIR)) {
+    const filePath = path.join(SEGMENT_CACHE_DIR, fileName);
+    if (fileName.endsWith('.tmp.mkv')) {
+      if (removeTemp) await fs.remove(filePath);
+      continue;
+    }
+    if (!fileName.endsWith('.mkv')) continue;
+    
+    const stat = await fs.stat(filePath);
+    entries.push({ filePath, size: stat.size, lastUsed: stat.mtimeMs });
+  }
+  
+  // 최근에 사용한 세그먼트부터 한도 안에서 유지
+  entries.sort((a, b) => b.lastUsed - a.lastUsed);
+  const now = Date.now();
+  let keptSize = 0;
+  let keptCount = 0;
+  let evictedCount = 0;
+  for (const entry of entries) {
+    const expired = SEGMENT_CACHE_MAX_AGE > 0 && now - entry.lastUsed > SEGMENT_CACHE_MAX_AGE;
+    if (expired || keptSize + entry.size > SEGMENT_CACHE_MAX_SIZE) {
+      await fs.remove(entry.filePath);
+      evictedCount++;
+    } else {
+      keptSize += entry.size;
+      keptCount++;
+    }
+  }
+  
+  segmentCacheUsage.entries = keptCount;
+  segmentCacheUsage.size = keptSize;
+  if (evictedCount > 0) {
+    console.log(`🧹 씬 세그먼트 캐시 정리: ${evictedCount}개 삭제 (남은 ${keptCount}개, ${(keptSize / 1024 / 1024).toFixed(1)}MB)`);
+  }
+}
+
+// 세그먼트 캐시 상태 응답용 직렬화
+function serializeSegmentCache() {
+  return {
+    enabled: SEGMENT_CACHE_MAX_SIZE > 0,
+    entries: segmentCacheUsage.entries,
+    sizeMB: Math.round((segmentCacheUsage.size / 1024 / 1024) * 10) / 10,
+    maxSizeMB: SEGMENT_CACHE_MAX_SIZE / 1024 / 1024,
+    maxAgeHours: SEGMENT_CACHE_MAX_AGE / 60 / 60 / 1000
+  };
+}
+
+// FFmpeg 영상 조립 함수
+// options.outputName: 확장자를 뺀 출력 파일명 (영상과 사이드카 자막 파일이 같은 이름을 공유)
+// options.renditions: 렌디션 이름 목록 (예: ['1080p', '720p']), 없으면 출력 해상도 그대로 하나만 인코딩
+// options.settings / options.encoding: 프로젝트 설정 대신 사용할 설정 (미리보기용)
+// options.timeWindow: { start, end } 또는 { scenes: { from, to } } 지정 시 해당 구간만 출력
+// options.sidecarCaptions: false면 사이드카 자막 파일을 만들지 않음
+// options.segmentCache: false면 씬 세그먼트 캐시를 쓰지 않고 전체를 한 번에 렌더링
+// options.onStart / options.onProgress: 렌더링 시작, 진행률({ percentage, renderedSeconds, totalDuration }) 콜백
+// 반환값: { outputPath, captions: { srt, vtt } | null, renditions: [{ name, width, height, outputPath }] | null,
+//          timeline: { duration, sceneWindows: [{ startTime, endTime }] } }
+async function assembleVideo(project, fileMapping, options) {
+  const {
+    outputName,
+    renditions: renditionNames = [],
+    settings = project.settings,
+    encoding = resolveEncodingSettings(settings),
+    timeWindow = null,
+    sidecarCaptions = true,
+    segmentCache = true,
+    onStart = () => {},
+    onProgress = () => {}
+  } = options;
+  const hasVideo = Boolean(encoding.videoCodec);
+  
+  // 렌디션마다 `<outputName>_<렌디션>.<확장자>` 파일로 출력 (첫 번째 렌디션이 대표 출력)
+  const renditions = resolveRenditions(settings, renditionNames).map(rendition => ({
+    ...rendition,
+    outputPath: path.join(outputDir, `${outputName}_${rendition.name}.${encoding.container}`)
+  }));
+  const outputPath = renditions.length > 0
+    ? renditions[0].outputPath
+    : path.join(outputDir, `${outputName}.${encoding.container}`);
+  
+  await fs.ensureDir(outputDir);
+  
+  console.log('🎬 FFmpeg 영상 조립 시작');
+  console.log('📁 사용할 파일들:');
+  for (const [fileName, filePath] of fileMapping) {
+    console.log(`  ${fileName} -> ${filePath}`);
+  }
+  
+  // 실제 렌더링에 사용할 씬 길이 확정 (settings 원본은 변경하지 않음)
+  const scenes = await resolveSceneDurations(settings, fileMapping);
+  const timeline = computeSceneTimeline(scenes);
+  
+  // 지정 구간만 출력 (씬 범위는 확정된 타임라인 기준 시각으로 변환, 영상 길이를 넘는 부분은 잘라냄)
+  let outputWindow = null;
+  if (timeWindow) {
+    const { scenes: sceneRange } = timeWindow;
+    const start = sceneRange ? timeline.startTimes[sceneRange.from] : timeWindow.start;
+    const requestedEnd = sceneRange
+      ? timeline.startTimes[sceneRange.to] + getSceneDuration(scenes[sceneRange.to])
+      : timeWindow.end;
+    const end = Math.min(requestedEnd !== undefined ? requestedEnd : timeline.totalDuration, timeline.totalDuration);
+    if (start >= end) {
+      throw new Error(`출력 구간이 영상 길이(${timeline.totalDuration}초)를 벗어났습니다`);
+    }
+    outputWindow = { start, duration: end - start };
+  }
+  
+  // 렌더링 중에만 쓰는 임시 파일 (시간을 이동한 자막 파일 등, 동시에 실행되는 렌더링끼리 분리)
+  const workDir = path.join(project.projectDir, '.render', outputName);
+  const subtitleFileFilters = await prepareSubtitleFileFilters(settings, scenes, timeline, fileMapping, workDir);
+  const drawTextFonts = await prepareDrawTextFonts(fileMapping, workDir);
+  
+  // 소프트 자막 모드: 씬 자막을 번인하지 않고 언어별 자막 트랙으로 다중화
+  const softSubtitles = settings.subtitleMode === 'soft';
+  const subtitleTracks = softSubtitles && hasVideo ? await prepareSoftSubtitleTracks(settings, scenes, timeline, workDir) : [];
+  
+  const outputFormat = resolveOutputFormat(settings);
+  console.log(`📐 출력 형식: ${outputFormat.width}x${outputFormat.height}, ${outputFormat.fps}fps, ${outputFormat.fit}`);
+  
+  // 진행률 기준 길이 (구간 출력이면 구간 길이)
+  const progressDuration = outputWindow ? outputWindow.duration : timeline.totalDuration;
+  let lastRenderPercentage = -1;
+  const reportProgress = (renderedSeconds) => {
+    if (progressDuration <= 0) return;
+    
+    const percentage = Math.min(100, Math.round((renderedSeconds / progressDuration) * 100));
+    if (percentage === lastRenderPercentage) return;
+    
+    lastRenderPercentage = percentage;
+    onProgress({
+      percentage,
+      renderedSeconds,
+      totalDuration: progressDuration
+    });
+  };
+  
+  try {
+    // 씬 세그먼트 캐시: 씬마다 비디오만 따로 인코딩해 두고, 바뀐 씬만 다시 렌더링한 뒤 재인코딩 없이 이어 붙임
+    const segmentCacheBlocker = findSegmentCacheBlocker({ encoding, timeline, timeWindow, segmentCache });
+    let segmentPaths = null;
+    let segmentLists = [];
+    if (segmentCacheBlocker) {
+      console.log(`🧩 씬 세그먼트 캐시 사용 안 함: ${segmentCacheBlocker}`);
+    } else {
+      onStart();
+      segmentPaths = await renderSceneSegments({
+        settings, scenes, timeline, outputFormat, fileMapping, drawTextFonts, subtitleFileFilters, softSubtitles, encoding,
+        projectDir: project.projectDir,
+        workDir
+      }, renditions.length > 0 ? renditions : [outputFormat], reportProgress);
+      
+      // concat 분리기 입력 목록 (출력 또는 렌디션마다 하나)
+      await fs.ensureDir(workDir);
+      segmentLists = await Promise.all(segmentPaths.map(async (paths, index) => {
+        const listPath = path.join(workDir, `segments-${index}.txt`);
+        await fs.writeFile(listPath, paths.map(segmentPath => `file '${segmentPath}'\n`).join(''));
+        return listPath;
+      }));
+    }
+    
+    await new Promise((resolve, reject) => {
+      const ffmpegCommand = ffmpeg();
+      
+      // 씬 화면 입력 추가 (씬마다 이미지 또는 영상 클립 하나, 입력 번호 = 씬 번호)
+      scenes.forEach((scene, index) => {
+        if (scene.clip) {
+          const videoPath = fileMapping.get(scene.clip.file);
+          ffmpegCommand.input(videoPath);
+          console.log(`📹 영상 입력 ${index}: ${scene.clip.file} -> ${videoPath} (${scene.clip.in}s~${scene.clip.out}s, ${scene.clip.speed}x)`);
+        } else if (scene.image) {
+          const imagePath = fileMapping.get(scene.image);
+          ffmpegCommand.input(imagePath);
+          console.log(`🖼️  이미지 입력 ${index}: ${scene.image} -> ${imagePath}`);
+        }
+      });
+      
+      // 오디오 입력 추가
+      const audioInputs = [];
+      let audioIndex = scenes.length;
+      
+      scenes.forEach((scene, index) => {
+        if (scene.tts) {
+          const ttsPath = fileMapping.get(scene.tts);
+          ffmpegCommand.input(ttsPath);
+          audioInputs.push({ type: 'tts', index: audioIndex++, scene: index });
+          console.log(`🎤 TTS 입력: ${scene.tts} -> ${ttsPath}`);
+        }
+      });
+      
+      scenes.forEach((scene, index) => {
+        if (scene.sfx) {
+          const sfxPath = fileMapping.get(scene.sfx);
+          ffmpegCommand.input(sfxPath);
+          audioInputs.push({ type: 'sfx', index: audioIndex++, scene: index });
+          console.log(`🔔 효과음 입력: ${scene.sfx} -> ${sfxPath}`);
+        }
+      });
+      
+      const bgm = resolveBgmSettings(settings);
+      if (bgm) {
+        const bgmPath = fileMapping.get(bgm.file);
+        ffmpegCommand.input(bgmPath);
+        if (bgm.loop) {
+          // 영상 길이만큼 반복 (뒤의 atrim에서 잘림)
+          ffmpegCommand.inputOptions(['-stream_loop', '-1']);
+        }
+        audioInputs.push({ type: 'bgm', index: audioIndex++ });
+        console.log(`🎵 BGM 입력: ${bgm.file} -> ${bgmPath} (볼륨 ${bgm.volume}, 반복 ${bgm.loop ? '예' : '아니오'})`);
+      }
+      
+      // 소프트 자막 트랙 입력 (오디오 입력 뒤에 추가)
+      subtitleTracks.forEach((track, index) => {
+        ffmpegCommand.input(track.path);
+        track.inputIndex = audioIndex + index;
+      });
+      
+      // 씬 세그먼트 목록 입력 (자막 트랙 입력 뒤에 추가)
+      const segmentInputIndexes = segmentLists.map((listPath, index) => {
+        ffmpegCommand.input(listPath).inputOptions(['-f', 'concat', '-safe', '0']);
+        return audioIndex + subtitleTracks.length + index;
+      });
+      
+      // 비디오 필터 생성 (씬 세그먼트를 쓰면 사용하지 않음)
+      let videoFilter = '';
+      scenes.forEach((scene, index) => {
+        videoFilter += `${buildSceneVideoFilter(index, scene, outputFormat)};`;
+      });
+      
+      // 비디오 연결 (전환 효과로 겹치는 구간 반영)
+      const { startTimes: sceneStartTimes, totalDuration } = timeline;
+      const videoSegments = scenes.map((_, index) => `[v${index}]`);
+      videoFilter += buildSceneJoinFilter(videoSegments, timeline, '[video]', 'video');
+      
+      // 자막 추가 (스타일 적용, 안전한 텍스트 처리, 소프트 자막 모드에서는 번인하지 않음)
+      let currentVideoStream = '[video]';
+      scenes.forEach((scene, index) => {
+        if (!softSubtitles && scene.subtitle && scene.subtitle.text) {
+          const captionWindow = getSceneCaptionWindow(timeline, scenes, index);
+          const style = resolveSubtitleStyle(settings, scene.subtitle);
+          const drawTextFilters = buildSubtitleFilters(scene.subtitle.text, style, captionWindow, outputFormat, drawTextFonts);
+          if (drawTextFilters.length === 0) return;
+          
+          const outputStream = `[video_sub${index}]`;
+          videoFilter += `${currentVideoStream}${drawTextFilters.join(',')}${outputStream};`;
+          currentVideoStream = outputStream;
+        }
+      });
+      
+      // 자막 파일 번인 (.srt/.vtt는 subtitles, .ass는 ass 필터)
+      if (subtitleFileFilters.length > 0) {
+        videoFilter += `${currentVideoStream}${subtitleFileFilters.map(entry => entry.filter).join(',')}[video_subfiles];`;
+        currentVideoStream = '[video_subfiles]';
+      }
+      
+      // 오디오 믹싱
+      let audioFilter = '';
+      const hasClipAudio = scenes.some(scene => scene.clip && !scene.clip.mute && scene.clip.hasAudio);
+      if (audioInputs.length > 0 || hasClipAudio) {
+        const ttsInputs = audioInputs.filter(a => a.type === 'tts');
+        const sfxInputs = audioInputs.filter(a => a.type === 'sfx');
+        const bgmInputs = audioInputs.filter(a => a.type === 'bgm');
+        
+        // 내레이션과 효과음을 먼저 합친 전경 트랙
+        // (각 트랙을 영상 길이에 맞춰 두어야 amix가 짧은 입력에서 먼저 끝나지 않음)
+        const foregroundTracks = [];
+        const fitToVideo = `apad,atrim=duration=${totalDuration}`;
+        const voiceVolume = (settings.global && settings.global.voiceVolume) ?? DEFAULT_VOICE_VOLUME;
+        const ducking = bgm && bgm.ducking && ttsInputs.length > 0 ? bgm.ducking : null;
+        
+        // TTS는 씬 길이에 맞춰 자르거나 무음으로 채운 뒤 씬 순서대로 이어 붙임
+        // (TTS가 없는 씬은 무음 구간으로 채워 이후 씬의 시작 시각을 유지, 전환 구간은 크로스페이드)
+        if (ttsInputs.length > 0) {
+          const sceneAudioSegments = scenes.map((scene, index) => {
+            const ttsInput = ttsInputs.find(a => a.scene === index);
+            const duration = getSceneDuration(scene);
+            const label = `[tts${index}]`;
+            
+            if (ttsInput) {
+              audioFilter += `[${ttsInput.index}:a]${AUDIO_MIX_FORMAT},apad,atrim=duration=${duration},asetpts=PTS-STARTPTS${label};`;
+            } else {
+              audioFilter += `anullsrc=r=44100:cl=stereo,atrim=duration=${duration}${label};`;
+            }
+            return label;
+          });
+          
+          audioFilter += buildSceneJoinFilter(sceneAudioSegments, timeline, '[tts_joined]', 'audio');
+          audioFilter += `[tts_joined]volume=${voiceVolume}[tts_combined];`;
+          
+          if (ducking) {
+            // 덕킹용 사이드체인 신호로 TTS를 하나 더 분기
+            audioFilter += `[tts_combined]asplit=2[tts_main][tts_sidechain];`;
+            foregroundTracks.push('[tts_main]');
+          } else {
+            foregroundTracks.push('[tts_combined]');
+          }
+        }
+        
+        // 효과음은 씬 시작 시각(+sfxOffset)에 배치
+        sfxInputs.forEach(sfxInput => {
+          const scene = scenes[sfxInput.scene];
+          const startTime = Math.max(0, sceneStartTimes[sfxInput.scene] + (scene.sfxOffset || 0));
+          const delayMs = Math.round(startTime * 1000);
+          const volume = scene.sfxVolume !== undefined ? scene.sfxVolume : 1.0;
+          const label = `[sfx${sfxInput.scene}]`;
+          
+          audioFilter += `[${sfxInput.index}:a]${AUDIO_MIX_FORMAT},volume=${volume},adelay=${delayMs}|${delayMs},${fitToVideo}${label};`;
+          foregroundTracks.push(label);
+          console.log(`🔔 효과음 배치: 씬 ${sfxInput.scene} @ ${startTime}s, 볼륨 ${volume}`);
+        });
+        
+        // 영상 클립 원본 오디오는 씬 시작 시각에 배치
+        scenes.forEach((scene, index) => {
+          const { clip } = scene;
+          if (!clip || clip.mute || !clip.hasAudio) return;
+          
+          const delayMs = Math.round(sceneStartTimes[index] * 1000);
+          const tempo = buildAtempoChain(clip.speed);
+          const label = `[clip${index}]`;
+          
+          audioFilter += `[${index}:a]atrim=start=${clip.in}:end=${clip.out},asetpts=PTS-STARTPTS,${tempo ? `${tempo},` : ''}${AUDIO_MIX_FORMAT},volume=${clip.volume},` +
+            `apad,atrim=duration=${getSceneDuration(scene)},adelay=${delayMs}|${delayMs},${fitToVideo}${label};`;
+          foregroundTracks.push(label);
+          console.log(`📹 영상 원본 오디오 배치: 씬 ${index} @ ${sceneStartTimes[index]}s, 볼륨 ${clip.volume}`);
+        });
+        
+        // amix는 입력 수만큼 음량을 나누므로 다시 곱해 지정한 볼륨을 유지
+        let foreground = null;
+        if (foregroundTracks.length > 1) {
+          audioFilter += `${foregroundTracks.join('')}amix=inputs=${foregroundTracks.length}:duration=longest:dropout_transition=0,volume=${foregroundTracks.length}[foreground];`;
+          foreground = '[foreground]';
+        } else if (foregroundTracks.length === 1) {
+          foreground = foregroundTracks[0];
+        }
+        
+        // 배경음악: 볼륨 → 영상 길이에 맞춤 → 페이드 → (TTS 덕킹)
+        let background = null;
+        if (bgmInputs.length > 0) {
+          let bgmChain = `[${bgmInputs[0].index}:a]${AUDIO_MIX_FORMAT},volume=${bgm.volume},${fitToVideo},asetpts=PTS-STARTPTS`;
+          if (bgm.fadeIn > 0) {
+            bgmChain += `,afade=t=in:st=0:d=${bgm.fadeIn}`;
+          }
+          if (bgm.fadeOut > 0) {
+            const fadeOutStart = Math.max(0, totalDuration - bgm.fadeOut);
+            bgmChain += `,afade=t=out:st=${fadeOutStart}:d=${Math.min(bgm.fadeOut, totalDuration)}`;
+          }
+          audioFilter += `${bgmChain}[bgm];`;
+          background = '[bgm]';
+          
+          if (ducking) {
+            audioFilter += `[bgm][tts_sidechain]sidechaincompress=threshold=${ducking.threshold}:ratio=${ducking.ratio}:attack=${ducking.attack}:release=${ducking.release}[bgm_ducked];`;
+            background = '[bgm_ducked]';
+            console.log('🦆 배경음악 덕킹:', ducking);
+          }
+        }
+        
+        if (foreground && background) {
+          audioFilter += `${foreground}${background}amix=inputs=2:duration=longest:dropout_transition=0,volume=2[audio]`;
+        } else if (foreground) {
+          audioFilter += `${foreground}anull[audio]`;
+        } else if (background) {
+          audioFilter += `${background}anull[audio]`;
+        }
+      }
+      
+      // 오디오 전용 출력은 비디오 필터를 쓰지 않음
+      if (!hasVideo && !audioFilter) {
+        return reject(new Error('오디오 전용 출력에는 TTS, 효과음, 배경음악 또는 클립 오디오가 필요합니다'));
+      }
+      
+      // 최종 필터 조합
+      let finalFilter = hasVideo && !segmentPaths ? videoFilter : '';
+      if (audioFilter) {
+        finalFilter += `${audioFilter};`;
+      }
+      
+      // 출력 파일별 매핑할 스트림 (렌디션이 있으면 분기된 스트림, 씬 세그먼트를 쓰면 렌디션별 세그먼트 입력 사용)
+      const videoStream = hasVideo && !segmentPaths ? currentVideoStream : null;
+      const audioStream = audioFilter ? '[audio]' : null;
+      let outputs = [{ outputPath, video: videoStream, audio: audioStream }];
+      if (renditions.length > 0) {
+        const renditionFilter = buildRenditionFilter(renditions, videoStream, audioStream);
+        finalFilter += renditionFilter.filter;
+        outputs = renditions.map((rendition, index) => ({ outputPath: rendition.outputPath, ...renditionFilter.streams[index] }));
+        console.log(`📶 렌디션: ${renditions.map(r => `${r.name}(${r.width}x${r.height})`).join(', ')}`);
+      }
+      segmentInputIndexes.forEach((inputIndex, index) => {
+        outputs[index].video = `${inputIndex}:v`;
+      });
+      
+      // 마지막 구분자 제거
+      finalFilter = finalFilter.replace(/;$/, '');
+      
+      console.log('🔧 생성된 FFmpeg 필터:');
+      console.log(finalFilter);
+      
+      // FFmpeg 실행 (출력 파일마다 같은 인코딩 설정 적용)
+      if (finalFilter) {
+        ffmpegCommand.complexFilter(finalFilter);
+      }
+      outputs.forEach(output => {
+        ffmpegCommand
+          .output(output.outputPath)
+          .outputOptions([
+            ...(output.video ? ['-map', output.video] : []),
+            ...(output.audio ? ['-map', output.audio] : []),
+            ...buildEncodingOptions(encoding, { copyVideo: Boolean(segmentPaths) }),
+            ...buildSubtitleTrackOptions(subtitleTracks, path.extname(output.outputPath)),
+            ...(outputWindow ? ['-ss', String(outputWindow.start), '-t', String(outputWindow.duration)] : [])
+          ]);
+      });
+      
+      ffmpegCommand
+        .on('start', (commandLine) => {
+          console.log('🚀 FFmpeg 명령어 실행:');
+          console.log(commandLine);
+          if (!segmentPaths) onStart();
+        })
+        .on('stderr', (stderrLine) => {
+          console.log('📋 FFmpeg:', stderrLine);
+          
+          // time= 값으로 렌더링 진행률 계산 (세그먼트를 이어 붙이는 단계는 이미 100%)
+          const renderedSeconds = readRenderedSeconds(stderrLine);
+          if (renderedSeconds === null || segmentPaths) return;
+          reportProgress(renderedSeconds);
+        })
+        .on('end', () => {
+          console.log('✅ FFmpeg 처리 완료!');
+          resolve(outputPath);
+        })
+        .on('error', (err) => {
+          console.error('❌ FFmpeg 오류:', err.message);
+          reject(err);
+        })
+        .run();
+    });
+    
+    // 다른 작업이 실행 중이면 그 작업이 아직 이어 붙이지 않은 세그먼트를 지울 수 있으므로 정리는 마지막 작업에 맡김
+    if (segmentPaths && runningJobCount <= 1) {
+      await evictSegmentCache().catch(error => console.error('❌ 씬 세그먼트 캐시 정리 오류:', error.message));
+    }
+  } finally {
+    await fs.remove(workDir);
+  }
+  
+  // 번인한 씬 자막을 사이드카 자막 파일(.srt, .vtt)로도 저장
+  const cues = buildCaptionCues(scenes, timeline);
+  let captions = null;
+  if (sidecarCaptions && cues.length > 0) {
+    captions = {};
+    for (const format of ['srt', 'vtt']) {
+      captions[format] = path.join(outputDir, `${outputName}.${format}`);
+      await fs.writeFile(captions[format], formatCaptionFile(cues, format));
+    }
+    console.log(`📝 사이드카 자막 저장: ${cues.length}개 큐`);
+  }
+  
+  return {
+    outputPath,
+    captions,
+    renditions: renditions.length > 0 ? renditions : null,
+    timeline: {
+      duration: timeline.totalDuration,
+      sceneWindows: scenes.map((_, index) => getSceneCaptionWindow(timeline, scenes, index))
+    }
+  };
+}
+
+// ===== 프로젝트 영구 저장소 =====
+
+// 프로젝트를 JSON 매니페스트 형태로 변환
+function serializeProject(project) {
+  const job = jobs.get(project.jobId);
+  
+  return {
+    id: project.id,
+    settings: project.settings,
+    requiredFiles: project.requiredFiles,
+    uploadedFiles: Object.fromEntries(project.uploadedFiles),
+    status: project.status,
+    phase: project.phase || null,
+    renderProgress: project.renderProgress || 0,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt || project.createdAt,
+    completedAt: project.completedAt || null,
+    outputPath: project.outputPath || null,
+    captions: project.captions || null,
+    renditions: project.renditions || null,
+    streaming: project.streaming || null,
+    thumbnails: project.thumbnails || null,
+    error: project.error || null,
+    job: job ? { ...job } : null,
+    preview: project.preview || null,
+    previewJob: jobs.has(project.previewJobId) ? { ...jobs.get(project.previewJobId) } : null
+  };
+}
+
+// 매니페스트 파일 쓰기 (임시 파일에 쓴 뒤 교체)
+async function writeProjectManifest(project) {
+  const manifestPath = path.join(project.projectDir, PROJECT_MANIFEST);
+  const tempPath = `${manifestPath}.tmp`;
+  
+  await fs.writeJson(tempPath, serializeProject(project), { spaces: 2 });
+  await fs.move(tempPath, manifestPath, { overwrite: true });
+}
+
+// 프로젝트 저장 (같은 프로젝트의 저장은 순서대로 실행)
+function saveProject(project) {
+  project.updatedAt = new Date().toISOString();
+  const previous = projectSaveChains.get(project.id) || Promise.resolve();
+  const next = previous
+    .then(() => writeProjectManifest(project))
+    .catch(error => console.error(`❌ 프로젝트 저장 오류 (${project.id}):`, error.message));
+  
+  projectSaveChains.set(project.id, next);
+  return next;
+}
+
+// 매니페스트가 없는 프로젝트는 settings.json과 업로드된 파일로 재구성
+async function rebuildManifestFromSettings(projectId, projectDir) {
+  const settings = await fs.readJson(path.join(projectDir, 'settings.json'));
+  const requiredFiles = extractRequiredFiles(settings);
+  const stat = await fs.stat(projectDir);
+  
+  const uploadedFiles = {};
+  for (const fileName of requiredFiles) {
+    const filePath = path.join(projectDir, fileName);
+    if (await fs.pathExists(filePath)) {
+      const fileStat = await fs.stat(filePath);
+      uploadedFiles[fileName] = {
+        path: filePath,
+        size: fileStat.size,
+        mimetype: null,
+        uploadedAt: fileStat.mtime.toISOString()
+      };
+    }
+  }
+  
+  return {
+    id: projectId,
+    settings,
+    requiredFiles,
+    uploadedFiles,
+    status: 'created',
+    createdAt: stat.birthtime.toISOString()
+  };
+}
+
+// 서버 시작 시 디스크에서 프로젝트 복원
+async function restoreProjects() {
+  const entries = await fs.readdir(uploadDir, { withFileTypes: true });
+  let restoredCount = 0;
+  
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    
+    const projectId = entry.name;
+    const projectDir = path.join(uploadDir, projectId);
+    const manifestPath = path.join(projectDir, PROJECT_MANIFEST);
+    
+    try {
+      let manifest;
+      let needsSave = false;
+      if (await fs.pathExists(manifestPath)) {
+        manifest = await fs.readJson(manifestPath);
+      } else if (await fs.pathExists(path.join(projectDir, 'settings.json'))) {
+        manifest = await rebuildManifestFromSettings(projectId, projectDir);
+        needsSave = true;
+      } else {
+        continue;
+      }
+      
+      const uploadedFiles = new Map();
+      const fileMap = new Map();
+      for (const [fileName, info] of Object.entries(manifest.uploadedFiles || {})) {
+        // 컨테이너 경로가 바뀌어도 동작하도록 현재 프로젝트 디렉토리 기준으로 경로 재계산
+        const filePath = path.join(projectDir, fileName);
+        if (!(await fs.pathExists(filePath))) continue;
+        
+        uploadedFiles.set(fileName, { ...info, path: filePath });
+        fileMap.set(fileName, filePath);
+      }
+      
+      const project = {
+        id: projectId,
+        settings: manifest.settings,
+        requiredFiles: manifest.requiredFiles || extractRequiredFiles(manifest.settings),
+        uploadedFiles,
+        status: manifest.status || 'created',
+        phase: manifest.phase || null,
+        renderProgress: manifest.renderProgress || 0,
+        createdAt: manifest.createdAt,
+        updatedAt: manifest.updatedAt || manifest.createdAt,
+        completedAt: manifest.completedAt || undefined,
+        outputPath: manifest.outputPath || undefined,
+        captions: manifest.captions || undefined,
+        renditions: manifest.renditions || undefined,
+        streaming: manifest.streaming || undefined,
+        thumbnails: manifest.thumbnails || undefined,
+        preview: manifest.preview || undefined,
+        error: manifest.error || null,
+        projectDir
+      };
+      
+      // 재시작 전에 대기 중이거나 실행 중이던 작업은 실패 처리
+      if (manifest.job) {
+        const job = { ...manifest.job };
+        if (job.status === 'queued' || job.status === 'running') {
+          job.status = 'failed';
+          job.error = '서버 재시작으로 작업이 중단되었습니다';
+          job.finishedAt = new Date().toISOString();
+          
+          project.status = 'error';
+          project.phase = 'failed';
+          project.error = job.error;
+          needsSave = true;
+        }
+        jobs.set(job.id, job);
+        project.jobId = job.id;
+      }
+      
+      // 중단된 미리보기 작업은 작업만 실패 처리 (프로젝트 상태는 그대로)
+      if (manifest.previewJob) {
+        const previewJob = { ...manifest.previewJob };
+        if (previewJob.status === 'queued' || previewJob.status === 'running') {
+          previewJob.status = 'failed';
+          previewJob.error = '서버 재시작으로 작업이 중단되었습니다';
+          previewJob.finishedAt = new Date().toISOString();
+          needsSave = true;
+        }
+        jobs.set(previewJob.id, previewJob);
+        project.previewJobId = previewJob.id;
+      }
+      
+      projects.set(projectId, project);
+      projectFiles.set(projectId, fileMap);
+      restoredCount++;
+      
+      if (needsSave) {
+        await saveProject(project);
+      }
+    } catch (error) {
+      console.error(`❌ 프로젝트 복원 실패 (${projectId}):`, error.message);
+    }
+  }
+  
+  console.log(`💾 디스크에서 복원된 프로젝트: ${restoredCount}개`);
+}
+
+// ===== 조립 작업 큐 =====
+
+// 작업 상태 응답용 직렬화
+function serializeJob(job) {
+  if (!job) return null;
+  
+  return {
+    id: job.id,
+    projectId: job.projectId,
+    type: job.type || 'assembly', // assembly | preview
+    status: job.status, // queued | running | completed | failed
+    queuePosition: job.status === 'queued' ? jobQueue.indexOf(job.id) + 1 : 0,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    outputPath: job.outputPath ? toOutputUrl(job.outputPath) : null,
+    captions: serializeCaptions(job.captions),
+    renditions: serializeRenditions(job.renditions),
+    streaming: serializeStreaming(job.streaming),
+    thumbnails: serializeThumbnails(job.thumbnails),
+    range: job.range || null,
+    error: job.error || null
+  };
+}
+
+// 미리보기 상태 응답용 직렬화 (마지막 미리보기 결과와 진행 중인 작업)
+function serializePreview(project) {
+  const job = jobs.get(project.previewJobId);
+  if (!job && !project.preview) return null;
+  
+  return {
+    outputPath: project.preview ? toOutputUrl(project.preview.outputPath) : null,
+    range: project.preview ? project.preview.range : null,
+    completedAt: project.preview ? project.preview.completedAt : null,
+    renderProgress: job && job.status === 'running' ? job.renderProgress || 0 : null,
+    job: serializeJob(job)
+  };
+}
+
+// 조립 작업 등록
+function enqueueAssemblyJob(project, renditionNames = [], packaging = [], segmentCache = true) {
+  const job = {
+    id: uuidv4(),
+    projectId: project.id,
+    type: 'assembly',
+    status: 'queued',
+    outputName: `output_${project.id}_${Date.now()}`,
+    renditionNames,
+    packaging,
+    segmentCache,
+    queuedAt: new Date().toISOString()
+  };
+  
+  jobs.set(job.id, job);
+  jobQueue.push(job.id);
+  
+  project.status = 'queued';
+  project.jobId = job.id;
+  project.error = null;
+  project.renderProgress = 0;
+  setProjectPhase(project, 'queued', { jobId: job.id });
+  saveProject(project);
+  
+  console.log(`📥 조립 작업 등록: ${job.id} (대기열 ${jobQueue.length}개, 실행 중 ${runningJobCount}/${ASSEMBLY_CONCURRENCY})`);
+  
+  processJobQueue();
+  return job;
+}
+
+// 미리보기 작업 등록 (프로젝트 상태와 단계는 바꾸지 않음)
+function enqueuePreviewJob(project, range) {
+  const job = {
+    id: uuidv4(),
+    projectId: project.id,
+    type: 'preview',
+    status: 'queued',
+    outputName: `preview_${project.id}_${Date.now()}`,
+    range,
+    queuedAt: new Date().toISOString()
+  };
+  
+  jobs.set(job.id, job);
+  jobQueue.push(job.id);
+  
+  project.previewJobId = job.id;
+  saveProject(project);
+  emitProjectEvent(project.id, 'preview-queued', { jobId: job.id, range });
+  
+  console.log(`📥 미리보기 작업 등록: ${job.id} (대기열 ${jobQueue.length}개, 실행 중 ${runningJobCount}/${ASSEMBLY_CONCURRENCY})`);
+  
+  processJobQueue();
+  return job;
+}
+
+// 동시 실행 한도 안에서 대기 중인 작업 실행
+function processJobQueue() {
+  while (runningJobCount < ASSEMBLY_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobs.get(jobQueue.shift());
+    if (!job) continue;
+    
+    runningJobCount++;
+    const runJob = job.type === 'preview' ? runPreviewJob : runAssemblyJob;
+    runJob(job).finally(() => {
+      runningJobCount--;
+      processJobQueue();
+    });
+  }
+}
+
+// 개별 조립 작업 실행
+async function runAssemblyJob(job) {
+  const project = projects.get(job.projectId);
+  
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  
+  try {
+    if (!project) {
+      throw new Error('프로젝트를 찾을 수 없습니다');
+    }
+    
+    console.log(`\n🎬 === 영상 조립 시작: ${project.id} (작업 ${job.id}) ===`);
+    project.status = 'assembling';
+    setProjectPhase(project, 'preparing', { jobId: job.id });
+    saveProject(project);
+    
+    // FFmpeg 조립 실행
+    const { outputPath, captions, renditions, timeline } = await assembleVideo(project, projectFiles.get(project.id), {
+      outputName: job.outputName,
+      renditions: job.renditionNames,
+      segmentCache: job.segmentCache !== false,
+      onStart: () => setProjectPhase(project, 'rendering'),
+      onProgress: (progress) => {
+        project.renderProgress = progress.percentage;
+        emitProjectEvent(project.id, 'render-progress', progress);
+      }
+    });
+    
+    // HLS/DASH 패키징 (렌디션이 있으면 모든 렌디션을 변형 스트림으로 사용)
+    let streaming = null;
+    if (job.packaging && job.packaging.length > 0) {
+      setProjectPhase(project, 'packaging', { jobId: job.id });
+      const sourcePaths = renditions ? renditions.map(rendition => rendition.outputPath) : [outputPath];
+      streaming = await packageStreams(project, sourcePaths, job.packaging);
+    }
+    
+    // 포스터/스프라이트/미리보기 (오디오 전용 출력 제외, 렌디션이 있으면 대표 렌디션 기준)
+    let thumbnails = null;
+    if (resolveEncodingSettings(project.settings).videoCodec) {
+      setProjectPhase(project, 'thumbnails', { jobId: job.id });
+      thumbnails = await generateThumbnails(project, outputPath, timeline);
+    }
+    
+    job.status = 'completed';
+    job.outputPath = outputPath;
+    job.captions = captions;
+    job.renditions = renditions;
+    job.streaming = streaming;
+    job.thumbnails = thumbnails;
+    job.finishedAt = new Date().toISOString();
+    
+    project.status = 'completed';
+    project.outputPath = outputPath;
+    project.captions = captions;
+    project.renditions = renditions;
+    project.streaming = streaming;
+    project.thumbnails = thumbnails;
+    project.completedAt = job.finishedAt;
+    project.renderProgress = 100;
+    
+    setProjectPhase(project, 'completed', { jobId: job.id });
+    await saveProject(project);
+    emitProjectEvent(project.id, 'completed', {
+      jobId: job.id,
+      outputPath: toOutputUrl(outputPath),
+      captions: serializeCaptions(captions),
+      renditions: serializeRenditions(renditions),
+      streaming: serializeStreaming(streaming),
+      thumbnails: serializeThumbnails(thumbnails)
+    });
+    
+    console.log(`✅ 영상 조립 완료: ${project.id}`);
+    
+  } catch (error) {
+    console.error(`❌ 영상 조립 오류 (작업 ${job.id}):`, error);
+    
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date().toISOString();
+    
+    if (project) {
+      project.status = 'error';
+      project.error = error.message;
+      
+      setProjectPhase(project, 'failed', { jobId: job.id });
+      await saveProject(project);
+      emitProjectEvent(project.id, 'failed', { jobId: job.id, error: error.message });
+    }
+  }
+}
+
+// 미리보기 작업 실행 (같은 조립 그래프를 저해상도로 빠르게 인코딩, 패키징/썸네일 생략)
+async function runPreviewJob(job) {
+  const project = projects.get(job.projectId);
+  
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  
+  try {
+    if (!project) {
+      throw new Error('프로젝트를 찾을 수 없습니다');
+    }
+    
+    console.log(`\n👀 === 미리보기 렌더링 시작: ${project.id} (작업 ${job.id}) ===`);
+    emitProjectEvent(project.id, 'preview-started', { jobId: job.id, range: job.range });
+    
+    const { encoding, renditionNames } = resolvePreviewEncoding(project.settings);
+    const { outputPath } = await assembleVideo(project, projectFiles.get(project.id), {
+      outputName: job.outputName,
+      renditions: renditionNames,
+      encoding,
+      timeWindow: job.range,
+      sidecarCaptions: false,
+      onProgress: (progress) => {
+        job.renderProgress = progress.percentage;
+        emitProjectEvent(project.id, 'preview-progress', { jobId: job.id, ...progress });
+      }
+    });
+    
+    // 이전 미리보기 파일은 새 미리보기로 교체
+    const previous = project.preview;
+    if (previous && previous.outputPath !== outputPath) {
+      await fs.remove(previous.outputPath);
+    }
+    
+    job.status = 'completed';
+    job.outputPath = outputPath;
+    job.finishedAt = new Date().toISOString();
+    
+    project.preview = { outputPath, range: job.range || null, completedAt: job.finishedAt };
+    
+    await saveProject(project);
+    emitProjectEvent(project.id, 'preview-completed', {
+      jobId: job.id,
+      outputPath: toOutputUrl(outputPath),
+      range: job.range || null
+    });
+    
+    console.log(`✅ 미리보기 렌더링 완료: ${project.id}`);
+    
+  } catch (error) {
+    console.error(`❌ 미리보기 렌더링 오류 (작업 ${job.id}):`, error);
+    
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date().toISOString();
+    
+    if (project) {
+      await saveProject(project);
+      emitProjectEvent(project.id, 'preview-failed', { jobId: job.id, error: error.message });
+    }
+  }
+}
+
+// ===== 프로젝트 삭제 / 자동 정리 =====
+
+// 대기 중이거나 실행 중인 조립/미리보기 작업 (없으면 undefined)
+function findActiveJob(project) {
+  return [jobs.get(project.jobId), jobs.get(project.previewJobId)]
+    .find(job => job && (job.status === 'queued' || job.status === 'running'));
+}
+
+// 프로젝트와 업로드 파일, 출력 파일 삭제 (실행 중인 작업이 없을 때만 호출)
+async function deleteProject(project) {
+  // 대기 중인 작업은 큐에서 제거
+  for (const jobId of [project.jobId, project.previewJobId]) {
+    const queueIndex = jobQueue.indexOf(jobId);
+    if (queueIndex !== -1) jobQueue.splice(queueIndex, 1);
+    jobs.delete(jobId);
+  }
+  
+  // 진행 중인 매니페스트 저장이 끝난 뒤 삭제해야 디렉토리가 다시 생기지 않음
+  await projectSaveChains.get(project.id);
+  projects.delete(project.id);
+  projectFiles.delete(project.id);
+  projectSaveChains.delete(project.id);
+  for (const filePath of Array.from(fileHashes.keys())) {
+    if (filePath.startsWith(project.projectDir + path.sep)) fileHashes.delete(filePath);
+  }
+  
+  // 출력 파일: output_<id>_*, preview_<id>_* (영상, 렌디션, 사이드카 자막) 및 output/<id>/ (스트리밍, 썸네일)
+  const outputFiles = (await fs.readdir(outputDir))
+    .filter(fileName => fileName.startsWith(`output_${project.id}_`) || fileName.startsWith(`preview_${project.id}_`));
+  await Promise.all(outputFiles.map(fileName => fs.remove(path.join(outputDir, fileName))));
+  await fs.remove(path.join(outputDir, project.id));
+  await fs.remove(project.projectDir);
+  
+  // 구독자에게 알리고 연결 종료
+  emitProjectEvent(project.id, 'deleted', {});
+  const clients = projectEventClients.get(project.id);
+  if (clients) {
+    for (const res of clients) res.end();
+    projectEventClients.delete(project.id);
+  }
+  
+  console.log(`🗑️  프로젝트 삭제: ${project.id} (출력 파일 ${outputFiles.length}개)`);
+}
+
+// 보관 기간이 지난 프로젝트 자동 삭제 (완료된 프로젝트는 완료 시각, 나머지는 마지막 활동 시각 기준)
+async function sweepExpiredProjects() {
+  const now = Date.now();
+  let deletedCount = 0;
+  
+  for (const project of Array.from(projects.values())) {
+    const statusRetention = PROJECT_RETENTION[project.status];
+    if (statusRetention === undefined || findActiveJob(project)) continue;
+    
+    // 이전 조립 결과가 남아 있으면 (완료 후 설정 수정 등) 출력 파일이 더 짧은 보관 기간으로 지워지지 않도록 완료 보관 기간 적용
+    const hasOutputs = Boolean(project.outputPath && project.completedAt);
+    const retention = hasOutputs
+      ? PROJECT_RETENTION.completed && Math.max(statusRetention, PROJECT_RETENTION.completed)
+      : statusRetention;
+    if (!retention) continue;
+    
+    const lastActivity = project.status === 'completed' && project.completedAt
+      ? project.completedAt
+      : project.updatedAt || project.createdAt;
+    if (now - Date.parse(lastActivity) <= retention) continue;
+    
+    try {
+      await deleteProject(project);
+      deletedCount++;
+    } catch (error) {
+      console.error(`❌ 프로젝트 자동 삭제 실패 (${project.id}):`, error.message);
+    }
+  }
+  
+  if (deletedCount > 0) {
+    console.log(`🧹 보관 기간이 지난 프로젝트 ${deletedCount}개 삭제`);
+  }
+}
+
+// 목록 응답용 프로젝트 요약
+function serializeProjectSummary(project) {
+  return {
+    id: project.id,
+    status: project.status,
+    phase: project.phase || null,
+    sceneCount: project.settings.scenes.length,
+    progress: computeUploadProgress(project),
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt || project.createdAt,
+    completedAt: project.completedAt || null,
+    outputPath: project.outputPath ? toOutputUrl(project.outputPath) : null
+  };
+}
+
+// 프로젝트 상태 응답 (상태 확인, 프로젝트 조회에서 공통 사용)
+function serializeProjectStatus(project) {
+  const missingFiles = project.requiredFiles.filter(fileName => 
+    !project.uploadedFiles.has(fileName)
+  );
+  
+  return {
+    projectId: project.id,
+    status: project.status,
+    progress: computeUploadProgress(project),
+    missingFiles,
+    canAssemble: missingFiles.length === 0,
+    uploadedFiles: Array.from(project.uploadedFiles.keys()),
+    phase: project.phase || null,
+    renderProgress: project.renderProgress || 0,
+    job: serializeJob(jobs.get(project.jobId)),
+    outputPath: project.outputPath ? toOutputUrl(project.outputPath) : null,
+    captions: serializeCaptions(project.captions),
+    renditions: serializeRenditions(project.renditions),
+    streaming: serializeStreaming(project.streaming),
+    thumbnails: serializeThumbnails(project.thumbnails),
+    preview: serializePreview(project)
+  };
+}
+
+// ===== 파일 등록 / 이어 올리기 업로드 =====
+
+// 업로드 파일명 검사 (프로젝트 디렉토리 바로 아래에 저장되므로 경로 금지, .uploads 같은 내부 파일과 겹치지 않도록 점으로 시작하는 이름 금지)
+function isValidUploadFileName(fileName) {
+  return typeof fileName === 'string' && fileName.length > 0 && path.basename(fileName) === fileName && !fileName.startsWith('.');
+}
+
+// 업로드/가져오기 도중 삭제된 프로젝트 (응답 코드 404)
+function createProjectDeletedError() {
+  const error = new Error('프로젝트를 찾을 수 없습니다');
+  error.statusCode = 404;
+  return error;
+}
+
+// 검증을 마친 파일을 프로젝트 디렉토리로 옮기고 업로드 목록에 등록
+// 진행 중에 프로젝트가 삭제되었으면 파일을 지우고 오류 (디렉토리가 매니페스트 없이 다시 생기지 않도록)
+async function registerUploadedFile(project, fileName, sourcePath, { size, mimetype }) {
+  if (projects.get(project.id) !== project) {
+    await fs.remove(sourcePath);
+    throw createProjectDeletedError();
+  }
+  
+  const targetPath = path.join(project.projectDir, fileName);
+  await fs.move(sourcePath, targetPath, { overwrite: true });
+  if (projects.get(project.id) !== project) {
+    await fs.remove(project.projectDir);
+    throw createProjectDeletedError();
+  }
+  
+  projectFiles.get(project.id).set(fileName, targetPath);
+  project.uploadedFiles.set(fileName, {
+    path: targetPath,
+    size,
+    mimetype,
+    uploadedAt: new Date().toISOString()
+  });
+  await saveProject(project);
+  
+  const progress = computeUploadProgress(project);
+  emitProjectEvent(project.id, 'upload-progress', { fileName, ...progress });
+  
+  console.log(`✅ 파일 업로드 완료: ${fileName}`);
+  console.log(`📊 진행률: ${progress.uploaded}/${progress.total} (${progress.percentage}%)`);
+  return progress;
+}
+
+// 체크섬 표기 파싱 ("sha256:<hex>" 형식)
+function parseChecksum(checksum) {
+  const match = /^([a-z0-9]+):([0-9a-f]+)$/i.exec(checksum);
+  if (!match || !CHECKSUM_ALGORITHMS.includes(match[1].toLowerCase())) {
+    throw new Error(`checksum은 "<알고리즘>:<hex>" 형식이어야 합니다 (알고리즘: ${CHECKSUM_ALGORITHMS.join(', ')})`);
+  }
+  return { algorithm: match[1].toLowerCase(), value: match[2].toLowerCase() };
+}
+
+// 이어 올리기 업로드 임시 파일 경로 (uploadId는 uuid만 허용)
+function getResumableUploadPaths(project, uploadId) {
+  if (!/^[0-9a-f-]{36}$/.test(uploadId)) return null;
+  
+  const baseDir = path.join(project.projectDir, RESUMABLE_UPLOAD_DIR);
+  return {
+    statePath: path.join(baseDir, `${uploadId}.json`),
+    partPath: path.join(baseDir, `${uploadId}.part`)
+  };
+}
+
+// 이어 올리기 업로드 상태 (받은 바이트 수는 임시 파일 크기, 서버가 재시작되어도 이어서 받을 수 있음)
+async function readResumableUpload(project, uploadId) {
+  const paths = getResumableUploadPaths(project, uploadId);
+  if (!paths || !(await fs.pathExists(paths.statePath))) return null;
+  
+  const state = await fs.readJson(paths.statePath);
+  const offset = (await fs.pathExists(paths.partPath)) ? (await fs.stat(paths.partPath)).size : 0;
+  return { ...state, ...paths, offset };
+}
+
+// 이어 올리기 업로드 상태 헤더 (tus와 같은 이름 사용)
+function setResumableUploadHeaders(res, upload) {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.size),
+    'Cache-Control': 'no-store'
+  });
+}
+
+// 스트림을 파일 끝에 이어 붙이고 받은 바이트 수 반환 (maxBytes를 넘으면 overflowMessage 오류)
+function appendStreamToFile(source, filePath, maxBytes, overflowMessage) {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        return callback(new Error(overflowMessage));
+      }
+      callback(null, chunk);
+    }
+  });
+  
+  return new Promise((resolve, reject) => {
+    pipeline(source, limiter, fs.createWriteStream(filePath, { flags: 'a' }), (error) => {
+      if (error) reject(error);
+      else resolve(received);
+    });
+  });
+}
+
+// 마지막 청크를 받은 뒤 검증(validateFile, 체크섬)하고 프로젝트 파일로 등록
+// 검증에 실패하면 임시 파일을 지우고 { valid: false, error } 반환
+async function completeResumableUpload(project, upload) {
+  const file = { path: upload.partPath, size: upload.offset, mimetype: upload.mimetype };
+  
+  let validation = await validateFile(file, upload.fileName);
+  if (validation.valid && upload.checksum) {
+    const actual = await computeFileChecksum(upload.partPath, upload.checksum.algorithm);
+    if (actual !== upload.checksum.value) {
+      validation = { valid: false, error: `체크섬이 일치하지 않습니다 (${upload.checksum.algorithm})` };
+    }
+  }
+  
+  if (!validation.valid) {
+    await Promise.all([fs.remove(upload.partPath), fs.remove(upload.statePath)]);
+    return validation;
+  }
+  
+  const progress = await registerUploadedFile(project, upload.fileName, upload.partPath, file);
+  await fs.remove(upload.statePath);
+  return { valid: true, progress };
+}
+
+// ===== URL 가져오기 =====
+
+// 내부망/예약 주소 여부
+function isPrivateAddress(address) {
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// 내부망 주소로 해석되는 호스트는 연결 전에 차단 (연결에 쓰는 주소를 직접 검사하므로 DNS 재바인딩도 방지)
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked && !IMPORT_ALLOW_PRIVATE_NETWORKS) {
+      return callback(new Error(`내부망 주소로는 요청할 수 없습니다 (${hostname} → ${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// 가져올 URL 검사 (http/https만 허용, IP 주소로 직접 지정한 호스트는 DNS 조회가 없으므로 여기서 검사)
+function parseImportUrl(value, base) {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch (error) {
+    throw new Error(`올바른 URL이 아닙니다: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`http/https URL만 가져올 수 있습니다: ${url.protocol}`);
+  }
+  if (url.username || url.password) {
+    throw new Error('인증 정보가 포함된 URL은 가져올 수 없습니다');
+  }
+  
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host) && !IMPORT_ALLOW_PRIVATE_NETWORKS) {
+    throw new Error(`내부망 주소로는 요청할 수 없습니다 (${host})`);
+  }
+  return url;
+}
+
+// GET 요청 (응답 헤더까지, 리다이렉트는 따라가지 않음)
+function requestImportUrl(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: lookupPublicAddress,
+      signal,
+      headers: { 'User-Agent': 'video-encoding-server/import', 'Accept': '*/*' }
+    }, resolve);
+    req.on('error', reject);
+  });
+}
+
+// URL을 파일로 내려받기 (리다이렉트마다 URL 재검사, 전체 시간 제한, 크기 제한)
+// 반환값: { size, contentType, url: 최종 URL }
+async function downloadImportUrl(sourceUrl, filePath) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), IMPORT_TIMEOUT);
+  
+  try {
+    let url = parseImportUrl(sourceUrl);
+    for (let redirects = 0; ; redirects++) {
+      const res = await requestImportUrl(url, controller.signal);
+      
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirects >= IMPORT_MAX_REDIRECTS) {
+          throw new Error(`리다이렉트가 너무 많습니다 (최대 ${IMPORT_MAX_REDIRECTS}회)`);
+        }
+        url = parseImportUrl(res.headers.location, url);
+        continue;
+      }
+      
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        throw new Error(`다운로드 실패: HTTP ${res.statusCode}`);
+      }
+      
+      const contentLength = Number(res.headers['content-length']);
+      if (contentLength > IMPORT_MAX_FILE_SIZE) {
+        res.resume();
+        throw new Error(`파일이 너무 큽니다 (최대 ${IMPORT_MAX_FILE_SIZE / 1024 / 1024}MB)`);
+      }
+      
+      const size = await appendStreamToFile(res, filePath, IMPORT_MAX_FILE_SIZE, `파일이 너무 큽니다 (최대 ${IMPORT_MAX_FILE_SIZE / 1024 / 1024}MB)`);
+      return { size, contentType: (res.headers['content-type'] || '').split(';')[0].trim().toLowerCase(), url: url.href };
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`다운로드 시간이 초과되었습니다 (${IMPORT_TIMEOUT / 1000}초)`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 확장자별로 허용하는 판별 결과 (mp4/mov, ttf/otf는 같은 형식을 확장자만 바꿔 쓰는 경우가 많아 서로 허용)
+// 여기 없는 확장자(자막)는 판별할 수 없으므로 validateFile()이 내용으로 확인
+const SNIFFED_MIME_TYPES = {
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.gif': ['image/gif'],
+  '.mp3': ['audio/mpeg'],
+  '.wav': ['audio/wav'],
+  '.m4a': ['audio/mp4'],
+  '.mp4': ['video/mp4', 'video/quicktime'],
+  '.mov': ['video/quicktime', 'video/mp4'],
+  '.ttf': ['font/ttf', 'font/otf'],
+  '.otf': ['font/otf', 'font/ttf']
+};
+
+// 파일 앞부분으로 MIME 타입 판별 (원격 서버의 Content-Type은 신뢰하지 않음, 판별할 수 없으면 null)
+async function sniffMimeType(filePath, fileName) {
+  const handle = await fs.open(filePath, 'r');
+  const header = Buffer.alloc(16);
+  try {
+    await fs.read(handle, header, 0, header.length, 0);
+  } finally {
+    await fs.close(handle);
+  }
+  
+  const ascii = (start, end) => header.toString('latin1', start, end);
+  if (header.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 3) === 'ID3' || (header[0] === 0xff && (header[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (ascii(4, 8) === 'ftyp') {
+    // ISO BMFF: 브랜드(또는 .m4a 확장자)로 오디오/영상 구분
+    const brand = ascii(8, 12);
+    if (['M4A ', 'M4B '].includes(brand) || path.extname(fileName).toLowerCase() === '.m4a') return 'audio/mp4';
+    return brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+  if (header.readUInt32BE(0) === 0x00010000 || ascii(0, 4) === 'true') return 'font/ttf';
+  if (ascii(0, 4) === 'OTTO') return 'font/otf';
+  return null;
+}
+
+// URL 하나를 내려받아 일반 업로드와 같은 검증/등록 과정을 거침
+async function importFileFromUrl(project, fileName, sourceUrl) {
+  if (projects.get(project.id) !== project) {
+    return { fileName, url: sourceUrl, success: false, error: '프로젝트를 찾을 수 없습니다' };
+  }
+  
+  const tempPath = path.join(project.projectDir, RESUMABLE_UPLOAD_DIR, `${uuidv4()}.import`);
+  await fs.ensureDir(path.dirname(tempPath));
+  
+  try {
+    console.log(`🌐 URL 가져오기 시작: ${fileName} ← ${sourceUrl}`);
+    const download = await downloadImportUrl(sourceUrl, tempPath);
+    
+    // 이미지/오디오/영상/폰트는 내용이 확장자와 맞아야 함, Content-Type은 내용으로 판별할 수 없는 자막 파일에만 사용
+    const ext = path.extname(fileName).toLowerCase();
+    const sniffedType = await sniffMimeType(tempPath, fileName);
+    if (SNIFFED_MIME_TYPES[ext] && !SNIFFED_MIME_TYPES[ext].includes(sniffedType)) {
+      throw new Error(`파일 내용이 ${ext} 형식이 아닙니다${sniffedType ? ` (${sniffedType})` : ''}`);
+    }
+    const mimetype = sniffedType || download.contentType || 'application/octet-stream';
+    
+    const file = { path: tempPath, size: download.size, mimetype };
+    const validation = await validateFile(file, fileName);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+    
+    await registerUploadedFile(project, fileName, tempPath, file);
+    return { fileName, url: sourceUrl, success: true, size: download.size, mimetype };
+    
+  } catch (error) {
+    // 내려받는 도중 프로젝트가 삭제되면 임시 파일 경로 오류 대신 삭제되었음을 알림
+    const message = projects.get(project.id) === project ? error.message : '프로젝트를 찾을 수 없습니다';
+    console.error(`❌ URL 가져오기 실패 (${fileName}):`, message);
+    return { fileName, url: sourceUrl, success: false, error: message };
+  } finally {
+    await fs.remove(tempPath);
+  }
+}
+
+// ===== 대화형 서버 API 엔드포인트들 =====
+
+// 1단계: 프로젝트 생성 (settings.json만 받음)
+app.post('/api/create-project', async (req, res) => {
+  try {
+    console.log('\n🚀 === 프로젝트 생성 요청 ===');
+    
+    const { settings } = req.body;
+    if (!settings) {
+      return res.status(400).json({ error: 'settings.json 데이터가 필요합니다' });
+    }
+    
+    // 스키마 검증 (위반 항목을 JSON 포인터와 함께 반환)
+    const schemaCheck = validateSettings(settings);
+    const violations = schemaCheck.valid ? findSettingsViolations(settings) : schemaCheck.violations;
+    if (violations.length > 0) {
+      console.log('⚠️  settings.json 스키마 위반:', violations);
+      return res.status(422).json({
+        error: 'settings.json 형식이 올바르지 않습니다',
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        violations
+      });
+    }
+    
+    const projectId = uuidv4();
+    const projectDir = path.join(uploadDir, projectId);
+    await fs.ensureDir(projectDir);
+    
+    // settings.json 파일 저장
+    await fs.writeJson(path.join(projectDir, 'settings.json'), settings, { spaces: 2 });
+    
+    // 필요한 파일 목록 생성
+    const requiredFiles = extractRequiredFiles(settings);
+    
+    const projectData = {
+      id: projectId,
+      settings,
+      requiredFiles,
+      uploadedFiles: new Map(),
+      status: 'created',
+      createdAt: new Date().toISOString(),
+      projectDir
+    };
+    
+    projects.set(projectId, projectData);
+    projectFiles.set(projectId, new Map());
+    await saveProject(projectData);
+    
+    console.log(`✅ 프로젝트 생성 완료: ${projectId}`);
+    console.log(`📋 필요한 파일 수: ${requiredFiles.length}`);
+    console.log('📝 필요한 파일들:', requiredFiles);
+    
+    res.json({
+      success: true,
+      projectId,
+      requiredFiles,
+      message: `프로젝트가 생성되었습니다. ${requiredFiles.length}개의 파일이 필요합니다.`
+    });
+    
+  } catch (error) {
+    console.error('❌ 프로젝트 생성 오류:', error);
+    res.status(500).json({ error: '프로젝트 생성 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// 2단계: 파일 개별 업로드
+app.post('/api/upload-file/:projectId', upload.single('file'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { fileName } = req.body;
+    
+    console.log(`\n📤 === 파일 업로드: ${projectId} ===`);
+    console.log(`📁 파일명: ${fileName}`);
+    
+    const project = projects.get(projectId);
+    if (!project) {
+      return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
     }
     
     if (!req.file) {
       return res.status(400).json({ error: '파일이 업로드되지 않았습니다' });
     }
     
-    // 파일 검증
-    const validation = await validateFile(req.file, fileName);
-    if (!validation.valid) {
-      await fs.remove(req.file.path); // 잘못된 파일 삭제
-      return res.status(400).json({ error: validation.error });
+    if (!isValidUploadFileName(fileName)) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: 'fileName은 경로가 없는 파일명이어야 합니다' });
+    }
+    
+    // 파일 검증
+    const validation = await validateFile(req.file, fileName);
+    if (!validation.valid) {
+      await fs.remove(req.file.path); // 잘못된 파일 삭제
+      return res.status(400).json({ error: validation.error });
+    }
+    
+    // 프로젝트 디렉토리로 파일 이동 후 등록
+    const progress = await registerUploadedFile(project, fileName, req.file.path, req.file);
+    
+    res.json({
+      success: true,
+      fileName,
+      progress,
+      message: `${fileName} 업로드 완료`
+    });
+    
+  } catch (error) {
+    console.error('❌ 파일 업로드 오류:', error);
+    if (error.statusCode === 404) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: '파일 업로드 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// 이어 올리기 업로드 시작 (예: { "fileName": "clip.mp4", "size": 734003200, "mimetype": "video/mp4", "checksum": "sha256:..." })
+app.post('/api/projects/:projectId/uploads', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = projects.get(projectId);
+    
+    if (!project) {
+      return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
+    }
+    
+    const { fileName, size, mimetype, checksum } = req.body || {};
+    if (!isValidUploadFileName(fileName)) {
+      return res.status(400).json({ error: 'fileName은 경로가 없는 파일명이어야 합니다' });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: 'size는 1 이상의 바이트 수여야 합니다' });
+    }
+    if (size > RESUMABLE_UPLOAD_MAX_SIZE) {
+      return res.status(413).json({ error: `파일이 너무 큽니다 (최대 ${RESUMABLE_UPLOAD_MAX_SIZE / 1024 / 1024}MB)` });
+    }
+    if (typeof mimetype !== 'string' || !mimetype) {
+      return res.status(400).json({ error: 'mimetype이 필요합니다' });
+    }
+    
+    let parsedChecksum = null;
+    if (checksum !== undefined) {
+      try {
+        parsedChecksum = parseChecksum(checksum);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
     
-    // 프로젝트 디렉토리로 파일 이동
-    const targetPath = path.join(project.projectDir, fileName);
-    await fs.move(req.file.path, targetPath);
+    const uploadId = uuidv4();
+    const { statePath, partPath } = getResumableUploadPaths(project, uploadId);
+    await fs.ensureDir(path.dirname(statePath));
+    await fs.writeJson(statePath, {
+      id: uploadId,
+      fileName,
+      size,
+      mimetype,
+      checksum: parsedChecksum,
+      createdAt: new Date().toISOString()
+    });
+    await fs.writeFile(partPath, '');
     
-    // 파일 매핑 업데이트
-    const fileMap = projectFiles.get(projectId);
-    fileMap.set(fileName, targetPath);
-    project.uploadedFiles.set(fileName, {
-      path: targetPath,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-      uploadedAt: new Date().toISOString()
+    const uploadUrl = `/api/projects/${projectId}/uploads/${uploadId}`;
+    console.log(`📤 이어 올리기 업로드 시작: ${fileName} (${size} bytes, ${uploadId})`);
+    
+    setResumableUploadHeaders(res, { offset: 0, size });
+    res.status(201).location(uploadUrl).json({
+      success: true,
+      uploadId,
+      uploadUrl,
+      fileName,
+      size,
+      offset: 0
     });
     
-    const progress = {
-      uploaded: project.uploadedFiles.size,
-      total: project.requiredFiles.length,
-      percentage: Math.round((project.uploadedFiles.size / project.requiredFiles.length) * 100)
-    };
+  } catch (error) {
+    console.error('❌ 이어 올리기 업로드 시작 오류:', error);
+    res.status(500).json({ error: '업로드 시작 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// 이어 올리기 업로드 현재 위치 확인 (Upload-Offset 헤더, 연결이 끊긴 뒤 이어서 보낼 위치)
+app.head('/api/projects/:projectId/uploads/:uploadId', async (req, res) => {
+  try {
+    const project = projects.get(req.params.projectId);
+    const upload = project && await readResumableUpload(project, req.params.uploadId);
+    if (!upload) {
+      return res.status(404).end();
+    }
+    
+    setResumableUploadHeaders(res, upload);
+    res.status(200).end();
+    
+  } catch (error) {
+    console.error('❌ 업로드 위치 확인 오류:', error);
+    res.status(500).end();
+  }
+});
+
+// 청크 업로드 (Content-Type: application/offset+octet-stream, Upload-Offset: 현재 위치)
+// 마지막 청크를 받으면 validateFile()과 체크섬을 확인한 뒤 프로젝트 파일로 등록
+app.patch('/api/projects/:projectId/uploads/:uploadId', async (req, res) => {
+  const { projectId, uploadId } = req.params;
+  
+  try {
+    const project = projects.get(projectId);
+    const upload = project && await readResumableUpload(project, uploadId);
+    if (!upload) {
+      return res.status(404).json({ error: '업로드를 찾을 수 없습니다' });
+    }
     
-    console.log(`✅ 파일 업로드 완료: ${fileName}`);
-    console.log(`📊 진행률: ${progress.uploaded}/${progress.total} (${progress.percentage}%)`);
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({ error: 'Content-Type은 application/offset+octet-stream이어야 합니다' });
+    }
+    
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset 헤더가 필요합니다' });
+    }
+    
+    // 클라이언트가 알고 있는 위치와 다르면 HEAD로 다시 확인하도록 현재 위치를 알려줌
+    setResumableUploadHeaders(res, upload);
+    if (offset !== upload.offset) {
+      return res.status(409).json({ error: 'Upload-Offset이 현재 위치와 다릅니다', offset: upload.offset });
+    }
+    if (activeChunkUploads.has(uploadId)) {
+      return res.status(409).json({ error: '이 업로드에 이미 청크를 받고 있습니다', offset: upload.offset });
+    }
+    
+    const contentLength = Number(req.get('Content-Length'));
+    if (contentLength > upload.size - upload.offset) {
+      return res.status(413).json({ error: '선언한 파일 크기를 넘는 데이터입니다', offset: upload.offset });
+    }
+    
+    activeChunkUploads.add(uploadId);
+    try {
+      upload.offset += await appendStreamToFile(req, upload.partPath, upload.size - upload.offset, '선언한 파일 크기를 넘는 데이터입니다');
+    } finally {
+      activeChunkUploads.delete(uploadId);
+    }
+    setResumableUploadHeaders(res, upload);
+    
+    if (upload.offset < upload.size) {
+      return res.json({ success: true, uploadId, offset: upload.offset, size: upload.size, complete: false });
+    }
+    
+    const result = await completeResumableUpload(project, upload);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error, uploadId });
+    }
     
     res.json({
       success: true,
-      fileName,
-      progress,
-      message: `${fileName} 업로드 완료`
+      uploadId,
+      fileName: upload.fileName,
+      offset: upload.offset,
+      size: upload.size,
+      complete: true,
+      progress: result.progress,
+      message: `${upload.fileName} 업로드 완료`
     });
     
   } catch (error) {
-    console.error('❌ 파일 업로드 오류:', error);
-    res.status(500).json({ error: '파일 업로드 중 오류가 발생했습니다', details: error.message });
+    // 연결이 끊기면 받은 만큼은 유지되므로 HEAD로 위치를 확인해 이어서 보내면 됨
+    console.error(`❌ 청크 업로드 오류 (${uploadId}):`, error.message);
+    if (error.statusCode === 404 && !res.headersSent) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (!res.headersSent && !req.destroyed) {
+      res.status(400).json({ error: '청크 업로드 중 오류가 발생했습니다', details: error.message });
+    }
   }
 });
 
-// 3단계: 프로젝트 상태 확인
-app.get('/api/project-status/:projectId', (req, res) => {
+// 이어 올리기 업로드 취소 (임시 파일 삭제)
+app.delete('/api/projects/:projectId/uploads/:uploadId', async (req, res) => {
+  try {
+    const project = projects.get(req.params.projectId);
+    const upload = project && await readResumableUpload(project, req.params.uploadId);
+    if (!upload) {
+      return res.status(404).json({ error: '업로드를 찾을 수 없습니다' });
+    }
+    if (activeChunkUploads.has(upload.id)) {
+      return res.status(409).json({ error: '청크를 받는 중인 업로드는 취소할 수 없습니다' });
+    }
+    
+    await Promise.all([fs.remove(upload.partPath), fs.remove(upload.statePath)]);
+    res.json({ success: true, uploadId: upload.id, message: '업로드가 취소되었습니다' });
+    
+  } catch (error) {
+    console.error('❌ 업로드 취소 오류:', error);
+    res.status(500).json({ error: '업로드 취소 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// URL에서 파일 가져오기 (예: { "scene1.png": "https://cdn.example.com/a.png", "tts1.mp3": "https://..." })
+// 파일마다 결과를 반환 (모두 성공 200, 일부 실패 207, 모두 실패 400)
+app.post('/api/projects/:projectId/import', async (req, res) => {
   try {
     const { projectId } = req.params;
     const project = projects.get(projectId);
     
+    console.log(`\n🌐 === URL 가져오기: ${projectId} ===`);
+    
     if (!project) {
       return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
     }
     
-    const progress = {
-      uploaded: project.uploadedFiles.size,
-      total: project.requiredFiles.length,
-      percentage: Math.round((project.uploadedFiles.size / project.requiredFiles.length) * 100)
-    };
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+      return res.status(400).json({ error: '{ "파일명": "URL" } 형식의 본문이 필요합니다' });
+    }
+    const entries = Object.entries(body);
+    if (entries.length > IMPORT_MAX_FILES) {
+      return res.status(400).json({ error: `한 번에 최대 ${IMPORT_MAX_FILES}개 파일까지 가져올 수 있습니다` });
+    }
+    for (const [fileName, url] of entries) {
+      if (!isValidUploadFileName(fileName)) {
+        return res.status(400).json({ error: `파일명은 경로가 없는 이름이어야 합니다: ${fileName}` });
+      }
+      if (typeof url !== 'string') {
+        return res.status(400).json({ error: `${fileName}의 URL은 문자열이어야 합니다` });
+      }
+    }
     
-    const missingFiles = project.requiredFiles.filter(fileName => 
-      !project.uploadedFiles.has(fileName)
-    );
+    // 동시에 몇 개씩 내려받기
+    const results = new Array(entries.length);
+    let nextIndex = 0;
+    await Promise.all(Array.from({ length: Math.min(IMPORT_CONCURRENCY, entries.length) }, async () => {
+      while (nextIndex < entries.length) {
+        const index = nextIndex++;
+        results[index] = await importFileFromUrl(project, ...entries[index]);
+      }
+    }));
+    
+    const imported = results.filter(result => result.success);
+    const failed = results.filter(result => !result.success);
+    const statusCode = failed.length === 0 ? 200 : (imported.length === 0 ? 400 : 207);
+    
+    res.status(statusCode).json({
+      success: failed.length === 0,
+      results,
+      progress: computeUploadProgress(project),
+      message: `${imported.length}개 파일을 가져왔습니다${failed.length > 0 ? `, ${failed.length}개 실패` : ''}`
+    });
+    
+  } catch (error) {
+    console.error('❌ URL 가져오기 오류:', error);
+    res.status(500).json({ error: 'URL 가져오기 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// 기존 프로젝트 설정 수정
+// - Content-Type: application/merge-patch+json → 본문을 JSON Merge Patch로 적용
+// - Content-Type: application/json → { settings } 전체 교체
+app.patch('/api/projects/:projectId/settings', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = projects.get(projectId);
+    
+    console.log(`\n✏️  === 설정 수정: ${projectId} ===`);
+    
+    if (!project) {
+      return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
+    }
+    
+    // 렌더링 중에는 설정을 바꾸지 않음 (조립/미리보기 작업이 project.settings를 읽음)
+    const activeJob = findActiveJob(project);
+    if (activeJob) {
+      return res.status(409).json({
+        error: '진행 중인 작업이 있어 설정을 수정할 수 없습니다',
+        job: serializeJob(activeJob)
+      });
+    }
+    
+    const isMergePatch = req.is('application/merge-patch+json');
+    if (!isMergePatch && !(req.body && req.body.settings)) {
+      return res.status(400).json({ error: 'settings.json 데이터가 필요합니다 (부분 수정은 Content-Type: application/merge-patch+json)' });
+    }
+    const settings = isMergePatch ? applyMergePatch(project.settings, req.body) : req.body.settings;
+    
+    const schemaCheck = validateSettings(settings);
+    const violations = schemaCheck.valid ? findSettingsViolations(settings) : schemaCheck.violations;
+    if (violations.length > 0) {
+      console.log('⚠️  settings.json 스키마 위반:', violations);
+      return res.status(422).json({
+        error: 'settings.json 형식이 올바르지 않습니다',
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        violations
+      });
+    }
+    
+    // 필요한 파일 목록 재계산 (더 이상 참조되지 않는 업로드는 진행률에서만 빠지고 디스크에 남음, ?prune=true면 삭제)
+    const previousRequiredFiles = project.requiredFiles;
+    const requiredFiles = extractRequiredFiles(settings);
+    const prune = req.query.prune === 'true';
+    const fileMap = projectFiles.get(projectId);
+    const unreferencedFiles = Array.from(project.uploadedFiles.keys())
+      .filter(fileName => !requiredFiles.includes(fileName) && !isFontFile(fileName));
+    const removedFiles = [];
+    if (prune) {
+      for (const fileName of unreferencedFiles) {
+        await fs.remove(path.join(project.projectDir, fileName));
+        project.uploadedFiles.delete(fileName);
+        fileMap.delete(fileName);
+        removedFiles.push(fileName);
+      }
+    }
+    
+    const missingFiles = requiredFiles.filter(fileName => !project.uploadedFiles.has(fileName));
+    const newlyMissingFiles = missingFiles.filter(fileName => !previousRequiredFiles.includes(fileName));
+    
+    await fs.writeJson(path.join(project.projectDir, 'settings.json'), settings, { spaces: 2 });
+    
+    // 이전 조립 결과는 남기되, 바뀐 설정으로 다시 조립해야 하므로 상태는 생성 단계로 되돌림
+    project.settings = settings;
+    project.requiredFiles = requiredFiles;
+    project.status = 'created';
+    project.phase = null;
+    project.renderProgress = 0;
+    project.error = null;
+    await saveProject(project);
     
-    const canAssemble = missingFiles.length === 0;
+    const progress = computeUploadProgress(project);
+    emitProjectEvent(projectId, 'settings-updated', { requiredFiles, missingFiles, newlyMissingFiles, unreferencedFiles, removedFiles, progress });
+    
+    console.log(`✅ 설정 수정 완료: ${projectId} (${isMergePatch ? 'merge patch' : '전체 교체'})`);
+    console.log(`📋 필요한 파일 수: ${requiredFiles.length}, 새로 필요한 파일: ${newlyMissingFiles.length}, 삭제된 파일: ${removedFiles.length}`);
     
     res.json({
+      success: true,
       projectId,
-      status: project.status,
-      progress,
+      settings,
+      requiredFiles,
       missingFiles,
-      canAssemble,
-      uploadedFiles: Array.from(project.uploadedFiles.keys())
+      newlyMissingFiles,
+      unreferencedFiles,
+      removedFiles,
+      progress,
+      canAssemble: missingFiles.length === 0,
+      message: missingFiles.length > 0
+        ? `설정이 수정되었습니다. ${missingFiles.length}개의 파일을 업로드해야 합니다.`
+        : '설정이 수정되었습니다. 바로 조립할 수 있습니다.'
     });
     
+  } catch (error) {
+    console.error('❌ 설정 수정 오류:', error);
+    res.status(500).json({ error: '설정 수정 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// 3단계: 프로젝트 상태 확인
+app.get('/api/project-status/:projectId', (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = projects.get(projectId);
+    
+    if (!project) {
+      return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
+    }
+    
+    res.json(serializeProjectStatus(project));
+    
   } catch (error) {
     console.error('❌ 상태 확인 오류:', error);
     res.status(500).json({ error: '상태 확인 중 오류가 발생했습니다', details: error.message });
   }
 });
 
-// 4단계: 최종 조립 실행
+// 프로젝트 목록 (예: ?status=completed,error&createdAfter=2024-01-01&limit=20&offset=40, 최근 생성 순)
+app.get('/api/projects', (req, res) => {
+  try {
+    const { status, createdAfter, createdBefore } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > PROJECT_LIST_MAX_LIMIT) {
+      return res.status(400).json({ error: `limit은 1 이상 ${PROJECT_LIST_MAX_LIMIT} 이하의 정수여야 합니다` });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset은 0 이상의 정수여야 합니다' });
+    }
+    
+    const dateFilters = {};
+    for (const [name, value] of Object.entries({ createdAfter, createdBefore })) {
+      if (value === undefined) continue;
+      dateFilters[name] = Date.parse(value);
+      if (Number.isNaN(dateFilters[name])) {
+        return res.status(400).json({ error: `${name}는 ISO 8601 날짜여야 합니다` });
+      }
+    }
+    const statuses = status ? String(status).split(',') : null;
+    
+    const matched = Array.from(projects.values())
+      .filter(project => !statuses || statuses.includes(project.status))
+      .filter(project => dateFilters.createdAfter === undefined || Date.parse(project.createdAt) >= dateFilters.createdAfter)
+      .filter(project => dateFilters.createdBefore === undefined || Date.parse(project.createdAt) < dateFilters.createdBefore)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    
+    res.json({
+      projects: matched.slice(offset, offset + limit).map(serializeProjectSummary),
+      total: matched.length,
+      limit,
+      offset
+    });
+    
+  } catch (error) {
+    console.error('❌ 프로젝트 목록 조회 오류:', error);
+    res.status(500).json({ error: '프로젝트 목록 조회 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// 프로젝트 상세 조회 (상태 + 설정 + 업로드 파일 정보)
+app.get('/api/projects/:projectId', (req, res) => {
+  try {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
+    }
+    
+    res.json({
+      ...serializeProjectStatus(project),
+      settings: project.settings,
+      requiredFiles: project.requiredFiles,
+      uploadedFiles: Array.from(project.uploadedFiles, ([fileName, info]) => ({
+        fileName,
+        size: info.size,
+        mimetype: info.mimetype,
+        uploadedAt: info.uploadedAt
+      })),
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt || project.createdAt,
+      completedAt: project.completedAt || null,
+      error: project.error || null
+    });
+    
+  } catch (error) {
+    console.error('❌ 프로젝트 조회 오류:', error);
+    res.status(500).json({ error: '프로젝트 조회 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// 프로젝트 삭제 (업로드 파일과 출력 파일 포함, 실행 중인 작업이 있으면 삭제하지 않음)
+app.delete('/api/projects/:projectId', async (req, res) => {
+  try {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
+    }
+    
+    // 조립과 미리보기 중 하나라도 실행 중이면 거부 (대기 중인 작업은 삭제하면서 큐에서 제거)
+    const runningJob = [jobs.get(project.jobId), jobs.get(project.previewJobId)]
+      .find(job => job && job.status === 'running');
+    if (runningJob) {
+      return res.status(409).json({
+        error: '실행 중인 작업이 있어 프로젝트를 삭제할 수 없습니다',
+        job: serializeJob(runningJob)
+      });
+    }
+    
+    await deleteProject(project);
+    res.json({ success: true, projectId: project.id, message: '프로젝트가 삭제되었습니다' });
+    
+  } catch (error) {
+    console.error('❌ 프로젝트 삭제 오류:', error);
+    res.status(500).json({ error: '프로젝트 삭제 중 오류가 발생했습니다', details: error.message });
+  }
+});
+
+// 4단계: 최종 조립 요청 (작업 큐에 등록 후 즉시 응답)
 app.post('/api/assemble-video/:projectId', async (req, res) => {
   try {
     const { projectId } = req.params;
     const project = projects.get(projectId);
     
-    console.log(`\n🎬 === 영상 조립 시작: ${projectId} ===`);
+    console.log(`\n🎬 === 영상 조립 요청: ${projectId} ===`);
     
     if (!project) {
       return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
@@ -465,36 +3617,206 @@ app.post('/api/assemble-video/:projectId', async (req, res) => {
       });
     }
     
-    project.status = 'assembling';
+    // 이미 대기 중이거나 실행 중인 작업이 있으면 중복 등록하지 않음
+    const activeJob = jobs.get(project.jobId);
+    if (activeJob && (activeJob.status === 'queued' || activeJob.status === 'running')) {
+      return res.status(409).json({
+        error: '이미 진행 중인 조립 작업이 있습니다',
+        job: serializeJob(activeJob)
+      });
+    }
     
-    // FFmpeg 조립 실행
-    const outputPath = await assembleVideo(project, projectFiles.get(projectId));
+    // 렌디션 목록 검증 (예: { "renditions": ["1080p", "720p", "480p"] })
+    const renditionNames = (req.body && req.body.renditions) || [];
+    const encoding = resolveEncodingSettings(project.settings);
+    let renditions;
+    try {
+      if (!Array.isArray(renditionNames) || renditionNames.some(name => typeof name !== 'string')) {
+        throw new Error('renditions는 렌디션 이름 배열이어야 합니다');
+      }
+      if (new Set(renditionNames).size !== renditionNames.length) {
+        throw new Error('renditions에 중복된 항목이 있습니다');
+      }
+      if (renditionNames.length > 0 && !encoding.videoCodec) {
+        throw new Error('오디오 전용 출력에는 렌디션을 지정할 수 없습니다');
+      }
+      renditions = resolveRenditions(project.settings, renditionNames);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
-    project.status = 'completed';
-    project.outputPath = outputPath;
-    project.completedAt = new Date().toISOString();
+    // 스트리밍 패키징 검증 (예: { "packaging": ["hls", "dash"] })
+    const packaging = (req.body && req.body.packaging) || [];
+    if (!Array.isArray(packaging) || packaging.some(format => !STREAMING_MANIFESTS[format]) || new Set(packaging).size !== packaging.length) {
+      return res.status(400).json({ error: `packaging은 ${Object.keys(STREAMING_MANIFESTS).join(', ')} 중 중복 없는 배열이어야 합니다` });
+    }
+    if (packaging.length > 0 && (encoding.container !== 'mp4'
+      || !STREAMING_VIDEO_CODECS.includes(encoding.videoCodec)
+      || !STREAMING_AUDIO_CODECS.includes(encoding.audioCodec))) {
+      return res.status(400).json({
+        error: `HLS/DASH 패키징은 mp4 컨테이너의 ${STREAMING_VIDEO_CODECS.join('/')} + ${STREAMING_AUDIO_CODECS.join('/')} 인코딩에서만 가능합니다`
+      });
+    }
+    
+    // 씬 세그먼트 캐시 사용 여부 (예: { "segmentCache": false }면 모든 씬을 다시 렌더링)
+    const segmentCache = req.body && req.body.segmentCache !== undefined ? req.body.segmentCache : true;
+    if (typeof segmentCache !== 'boolean') {
+      return res.status(400).json({ error: 'segmentCache는 true 또는 false여야 합니다' });
+    }
     
-    console.log('✅ 영상 조립 완료!');
+    const job = enqueueAssemblyJob(project, renditionNames, packaging, segmentCache);
     
-    res.json({
+    // 번인할 씬 자막이 있으면 완료 후 출력 영상과 같은 이름의 사이드카 자막 파일이 생성됨
+    const hasCaptions = project.settings.scenes.some(scene => scene.subtitle && scene.subtitle.text);
+    const plannedRenditions = renditions.map(rendition => ({
+      ...rendition,
+      outputPath: `/output/${job.outputName}_${rendition.name}.${encoding.container}`
+    }));
+    
+    res.status(202).json({
       success: true,
       projectId,
-      outputPath: `/output/${path.basename(outputPath)}`,
-      message: '영상 조립이 완료되었습니다'
+      jobId: job.id,
+      job: serializeJob(job),
+      outputPath: plannedRenditions.length > 0 ? plannedRenditions[0].outputPath : `/output/${job.outputName}.${encoding.container}`,
+      renditions: plannedRenditions.length > 0 ? plannedRenditions : null,
+      captions: hasCaptions ? { srt: `/output/${job.outputName}.srt`, vtt: `/output/${job.outputName}.vtt` } : null,
+      streaming: packaging.length > 0
+        ? Object.fromEntries(packaging.map(format => [format, `/output/${projectId}/${format}/${STREAMING_MANIFESTS[format]}`]))
+        : null,
+      statusUrl: `/api/project-status/${projectId}`,
+      message: '영상 조립 작업이 등록되었습니다'
     });
     
   } catch (error) {
-    console.error('❌ 영상 조립 오류:', error);
-    const project = projects.get(req.params.projectId);
-    if (project) project.status = 'error';
+    console.error('❌ 영상 조립 요청 오류:', error);
+    res.status(500).json({ 
+      error: '영상 조립 요청 중 오류가 발생했습니다', 
+      details: error.message 
+    });
+  }
+});
+
+// 저해상도 미리보기 렌더링 요청 (최종 출력과 별도 파일, 프로젝트 상태는 바꾸지 않음)
+app.post('/api/projects/:projectId/preview', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = projects.get(projectId);
+    
+    console.log(`\n👀 === 미리보기 요청: ${projectId} ===`);
+    
+    if (!project) {
+      return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
+    }
+    
+    const missingFiles = project.requiredFiles.filter(fileName => 
+      !project.uploadedFiles.has(fileName)
+    );
+    
+    if (missingFiles.length > 0) {
+      return res.status(400).json({ 
+        error: '아직 업로드되지 않은 파일이 있습니다',
+        missingFiles 
+      });
+    }
+    
+    const activeJob = jobs.get(project.previewJobId);
+    if (activeJob && (activeJob.status === 'queued' || activeJob.status === 'running')) {
+      return res.status(409).json({
+        error: '이미 진행 중인 미리보기 작업이 있습니다',
+        job: serializeJob(activeJob)
+      });
+    }
+    
+    // 미리보기 구간 검증 (예: { "scenes": { "from": 2, "to": 4 } } 또는 { "start": 10, "end": 25 })
+    let range;
+    try {
+      range = resolvePreviewRange(req.body, project.settings.scenes.length);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const job = enqueuePreviewJob(project, range);
+    
+    const { encoding, renditionNames } = resolvePreviewEncoding(project.settings);
+    const suffix = renditionNames.map(name => `_${name}`).join('');
+    
+    res.status(202).json({
+      success: true,
+      projectId,
+      jobId: job.id,
+      job: serializeJob(job),
+      outputPath: `/output/${job.outputName}${suffix}.${encoding.container}`,
+      range,
+      statusUrl: `/api/project-status/${projectId}`,
+      message: '미리보기 렌더링 작업이 등록되었습니다'
+    });
     
+  } catch (error) {
+    console.error('❌ 미리보기 요청 오류:', error);
     res.status(500).json({ 
-      error: '영상 조립 중 오류가 발생했습니다', 
+      error: '미리보기 요청 중 오류가 발생했습니다', 
       details: error.message 
     });
   }
 });
 
+// 실시간 진행 이벤트 스트림 (Server-Sent Events)
+app.get('/api/projects/:projectId/events', (req, res) => {
+  const { projectId } = req.params;
+  const project = projects.get(projectId);
+  
+  if (!project) {
+    return res.status(404).json({ error: '프로젝트를 찾을 수 없습니다' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // 프록시 버퍼링 방지
+  });
+  res.flushHeaders();
+  
+  if (!projectEventClients.has(projectId)) {
+    projectEventClients.set(projectId, new Set());
+  }
+  projectEventClients.get(projectId).add(res);
+  console.log(`📡 SSE 구독 시작: ${projectId} (구독자 ${projectEventClients.get(projectId).size}명)`);
+  
+  // 연결 직후 현재 상태 전송
+  const job = jobs.get(project.jobId);
+  res.write(`event: snapshot\ndata: ${JSON.stringify({
+    projectId,
+    status: project.status,
+    phase: project.phase || null,
+    uploadProgress: computeUploadProgress(project),
+    renderProgress: project.renderProgress || 0,
+    job: serializeJob(job),
+    outputPath: project.outputPath ? toOutputUrl(project.outputPath) : null,
+    captions: serializeCaptions(project.captions),
+    renditions: serializeRenditions(project.renditions),
+    streaming: serializeStreaming(project.streaming),
+    thumbnails: serializeThumbnails(project.thumbnails),
+    preview: serializePreview(project),
+    error: project.error || null,
+    timestamp: new Date().toISOString()
+  })}\n\n`);
+  
+  // 프록시 유휴 연결 종료 방지
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = projectEventClients.get(projectId);
+    if (clients) {
+      clients.delete(res);
+      if (clients.size === 0) projectEventClients.delete(projectId);
+    }
+    console.log(`📡 SSE 구독 종료: ${projectId}`);
+  });
+});
+
 // ===== 기타 API =====
 
 // 메인 페이지
@@ -502,8 +3824,47 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// 출력 파일 제공
-app.use('/output', express.static(outputDir));
+// settings.json 스키마 제공
+app.get('/api/schema', (req, res) => {
+  res.set('X-Schema-Version', String(SETTINGS_SCHEMA_VERSION));
+  res.json(settingsSchema);
+});
+
+// 스트리밍 파일 MIME 타입 (플레이어가 Content-Type으로 형식을 판단)
+const STREAMING_MIME_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment'
+};
+
+// 출력 파일 제공 (다른 도메인의 웹 플레이어에서 범위 요청으로 재생 가능하도록 헤더 추가)
+app.use('/output', express.static(outputDir, {
+  setHeaders: (res, filePath) => {
+    const mimeType = STREAMING_MIME_TYPES[path.extname(filePath).toLowerCase()];
+    if (mimeType) res.setHeader('Content-Type', mimeType);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges');
+  }
+}));
+
+// 씬 세그먼트 캐시 비우기 (실행 중인 작업이 캐시를 읽고 있을 수 있으므로 작업이 없을 때만)
+app.delete('/api/segment-cache', async (req, res) => {
+  try {
+    if (runningJobCount > 0) {
+      return res.status(409).json({ error: '실행 중인 작업이 있어 캐시를 비울 수 없습니다' });
+    }
+    
+    await fs.emptyDir(SEGMENT_CACHE_DIR);
+    await evictSegmentCache();
+    console.log('🧹 씬 세그먼트 캐시를 비웠습니다');
+    
+    res.json({ success: true, segmentCache: serializeSegmentCache() });
+    
+  } catch (error) {
+    console.error('❌ 캐시 삭제 오류:', error);
+    res.status(500).json({ error: '캐시 삭제 중 오류가 발생했습니다', details: error.message });
+  }
+});
 
 // 상태 확인
 app.get('/api/status', (req, res) => {
@@ -512,27 +3873,60 @@ app.get('/api/status', (req, res) => {
     message: '대화형 영상 인코딩 서버가 정상 작동 중입니다.',
     timestamp: new Date().toISOString(),
     activeProjects: projects.size,
+    assemblyQueue: {
+      concurrency: ASSEMBLY_CONCURRENCY,
+      running: runningJobCount,
+      queued: jobQueue.length
+    },
     endpoints: {
       createProject: 'POST /api/create-project',
       uploadFile: 'POST /api/upload-file/:projectId',
+      resumableUpload: 'POST /api/projects/:projectId/uploads → HEAD/PATCH/DELETE /api/projects/:projectId/uploads/:uploadId',
+      importFiles: 'POST /api/projects/:projectId/import',
       projectStatus: 'GET /api/project-status/:projectId',
-      assembleVideo: 'POST /api/assemble-video/:projectId'
-    }
+      assembleVideo: 'POST /api/assemble-video/:projectId',
+      previewVideo: 'POST /api/projects/:projectId/preview',
+      updateSettings: 'PATCH /api/projects/:projectId/settings',
+      listProjects: 'GET /api/projects',
+      getProject: 'GET /api/projects/:projectId',
+      deleteProject: 'DELETE /api/projects/:projectId',
+      projectEvents: 'GET /api/projects/:projectId/events',
+      settingsSchema: 'GET /api/schema',
+      clearSegmentCache: 'DELETE /api/segment-cache'
+    },
+    encodingProfiles: Object.keys(ENCODING_PROFILES),
+    projectRetentionHours: Object.fromEntries(
+      Object.entries(PROJECT_RETENTION).map(([status, retention]) => [status, retention / 60 / 60 / 1000])
+    ),
+    segmentCache: serializeSegmentCache()
   });
 });
 
-// 서버 시작
-app.listen(PORT, '0.0.0.0', async () => {
-  console.log(`🚀 대화형 영상 인코딩 서버가 다음 주소에서 실행 중입니다:`);
-  console.log(`   - 로컬: http://localhost:${PORT}`);
-  console.log(`   - 네트워크: http://0.0.0.0:${PORT}`);
-  console.log('📁 업로드 폴더:', uploadDir);
-  console.log('📁 출력 폴더:', outputDir);
-  console.log('\n🔄 === 대화형 API 사용법 ===');
-  console.log('1. POST /api/create-project (settings.json 전송)');
-  console.log('2. POST /api/upload-file/:projectId (파일 개별 업로드)');
-  console.log('3. GET /api/project-status/:projectId (진행률 확인)');
-  console.log('4. POST /api/assemble-video/:projectId (최종 조립)');
-});
+// 서버 시작 (디스크에 저장된 프로젝트 복원, 씬 세그먼트 캐시 정리 후)
+restoreProjects()
+  .catch(error => console.error('❌ 프로젝트 복원 오류:', error))
+  .then(() => evictSegmentCache({ removeTemp: true }))
+  .catch(error => console.error('❌ 씬 세그먼트 캐시 정리 오류:', error))
+  .then(() => {
+    // 보관 기간이 지난 프로젝트 주기적으로 정리
+    const sweep = () => sweepExpiredProjects().catch(error => console.error('❌ 프로젝트 자동 정리 오류:', error));
+    sweep();
+    setInterval(sweep, PROJECT_SWEEP_INTERVAL).unref();
+  })
+  .finally(() => app.listen(PORT, '0.0.0.0', async () => {
+    console.log(`🚀 대화형 영상 인코딩 서버가 다음 주소에서 실행 중입니다:`);
+    console.log(`   - 로컬: http://localhost:${PORT}`);
+    console.log(`   - 네트워크: http://0.0.0.0:${PORT}`);
+    console.log('📁 업로드 폴더:', uploadDir);
+    console.log('📁 출력 폴더:', outputDir);
+    console.log('\n🔄 === 대화형 API 사용법 ===');
+    console.log('1. POST /api/create-project (settings.json 전송)');
+    console.log('2. POST /api/upload-file/:projectId (파일 개별 업로드)');
+    console.log('3. GET /api/project-status/:projectId (진행률 확인)');
+    console.log('4. POST /api/assemble-video/:projectId (조립 작업 등록, 상태는 3번으로 확인)');
+    console.log('5. GET /api/projects/:projectId/events (실시간 진행 이벤트, SSE)');
+    console.log(`⚙️  조립 동시 실행 수: ${ASSEMBLY_CONCURRENCY}`);
+    console.log('🧩 씬 세그먼트 캐시:', SEGMENT_CACHE_MAX_SIZE > 0 ? SEGMENT_CACHE_DIR : '사용 안 함');
+  }));
 
 module.exports = app;
@@ -0,0 +1,441 @@
+const Ajv = require('ajv');
+
+// settings.json 스키마 버전 (호환되지 않는 변경 시 증가)
+const SETTINGS_SCHEMA_VERSION = 1;
+
+// 업로드 파일명: 경로 구분자와 상위 디렉토리 참조 금지
+const fileNameSchema = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 255,
+  pattern: '^(?!\\.\\.?$)[^/\\\\]+$'
+};
+
+// 이미지를 출력 프레임에 맞추는 방식
+const fitModeSchema = {
+  type: 'string',
+  enum: ['pad', 'crop', 'stretch', 'blur-background']
+};
+
+// 씬 길이 결정 방식 (fixed: duration 사용, fromAudio: TTS 길이, fromVideo: 영상 클립 길이)
+const durationModeSchema = {
+  type: 'string',
+  enum: ['fixed', 'fromAudio', 'fromVideo']
+};
+
+// 다음 씬으로 넘어가는 전환 효과 (FFmpeg xfade)
+const transitionSchema = {
+  type: 'object',
+  description: '이 씬에서 다음 씬으로 넘어가는 전환 효과',
+  properties: {
+    type: {
+      type: 'string',
+      enum: [
+        'none', 'fade', 'dissolve', 'fadeblack', 'fadewhite', 'distance', 'pixelize', 'radial',
+        'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+        'slideleft', 'slideright', 'slideup', 'slidedown',
+        'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+        'circlecrop', 'rectcrop', 'circleopen', 'circleclose',
+        'vertopen', 'vertclose', 'horzopen', 'horzclose',
+        'diagtl', 'diagtr', 'diagbl', 'diagbr',
+        'hlslice', 'hrslice', 'vuslice', 'vdslice'
+      ],
+      description: '전환 종류, 기본값 fade'
+    },
+    duration: { type: 'number', exclusiveMinimum: 0, maximum: 10, description: '전환 길이(초), 기본값 1' }
+  },
+  additionalProperties: false
+};
+
+// 켄 번즈 효과용 사각형 (프레임 기준 0~1 좌표)
+const motionRectSchema = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', minimum: 0, maximum: 1 },
+    y: { type: 'number', minimum: 0, maximum: 1 },
+    width: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+    height: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+  },
+  required: ['x', 'y', 'width'],
+  additionalProperties: false
+};
+
+const motionPresets = ['none', 'zoomIn', 'zoomOut', 'panLeft', 'panRight', 'panUp', 'panDown'];
+
+// 정지 이미지 카메라 이동 (프리셋 이름 또는 상세 설정)
+const motionSchema = {
+  description: '켄 번즈 pan/zoom 효과',
+  if: { type: 'string' },
+  then: { type: 'string', enum: motionPresets },
+  else: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [...motionPresets, 'custom'] },
+      zoom: { type: 'number', minimum: 1, maximum: 5, description: '프리셋 확대 배율, 기본값 1.2' },
+      easing: { type: 'string', enum: ['linear', 'easeIn', 'easeOut', 'easeInOut'], description: '기본값 easeInOut' },
+      start: motionRectSchema,
+      end: motionRectSchema
+    },
+    required: ['type'],
+    if: { properties: { type: { const: 'custom' } } },
+    then: { required: ['start', 'end'] },
+    additionalProperties: false
+  }
+};
+
+// FFmpeg 색상: 이름 또는 #RRGGBB[AA], 선택적으로 @투명도
+const colorSchema = {
+  type: 'string',
+  pattern: '^(#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|[a-zA-Z]+)(@(0(\\.\\d+)?|1(\\.0+)?))?$'
+};
+
+// 자막 스타일 (global.subtitleStyle과 씬 subtitle에서 공통 사용)
+const subtitleStyleProperties = {
+  fontSize: { type: 'number', exclusiveMinimum: 0, maximum: 500, description: '기본값 24' },
+  fontFamily: { type: 'string', pattern: "^[^'\\\\:;,\\[\\]]+$", maxLength: 100, description: '시스템 폰트 이름 (fontconfig)' },
+  fontFile: { ...fileNameSchema, pattern: '^(?!\\.\\.?$)[^/\\\\]+\\.(ttf|otf)$', description: '업로드한 폰트 파일명 (.ttf, .otf)' },
+  color: { ...colorSchema, description: '글자 색, 기본값 white' },
+  outline: {
+    type: 'object',
+    properties: {
+      width: { type: 'number', minimum: 0, maximum: 50 },
+      color: colorSchema
+    },
+    additionalProperties: false
+  },
+  shadow: {
+    type: 'object',
+    properties: {
+      x: { type: 'number', minimum: -100, maximum: 100 },
+      y: { type: 'number', minimum: -100, maximum: 100 },
+      color: colorSchema
+    },
+    additionalProperties: false
+  },
+  box: {
+    type: 'object',
+    description: '글자 배경 상자',
+    properties: {
+      color: colorSchema,
+      padding: { type: 'number', minimum: 0, maximum: 200 }
+    },
+    additionalProperties: false
+  },
+  position: { type: 'string', enum: ['top', 'center', 'bottom'], description: '세로 위치, 기본값 bottom' },
+  align: { type: 'string', enum: ['left', 'center', 'right'], description: '가로 정렬, 기본값 center' },
+  marginX: { type: 'number', minimum: 0, maximum: 2000, description: '좌우 여백(px), 기본값 50' },
+  marginY: { type: 'number', minimum: 0, maximum: 2000, description: '위아래 여백(px), 기본값 50' },
+  maxWidth: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: '화면 너비 대비 최대 줄 너비, 기본값 0.9' },
+  lineSpacing: { type: 'number', minimum: 0.5, maximum: 5, description: '폰트 크기 대비 줄 간격, 기본값 1.3' }
+};
+
+const subtitleStyleSchema = {
+  type: 'object',
+  description: '모든 씬 자막에 적용할 기본 스타일',
+  properties: subtitleStyleProperties,
+  additionalProperties: false
+};
+
+// 언어 코드 (ISO 639-1 두 글자 또는 ISO 639-2 세 글자)
+const languageCodeSchema = { type: 'string', pattern: '^[a-z]{2,3}$' };
+
+const subtitleSchema = {
+  type: 'object',
+  description: '씬 자막 (스타일 필드는 global.subtitleStyle을 덮어씀)',
+  properties: {
+    text: { type: 'string' },
+    translations: {
+      type: 'object',
+      description: '소프트 자막 모드의 추가 언어 자막 (언어 코드 → 텍스트)',
+      propertyNames: languageCodeSchema,
+      additionalProperties: { type: 'string', minLength: 1 }
+    },
+    ...subtitleStyleProperties
+  },
+  additionalProperties: false
+};
+
+// 씬 영상 클립 (파일명 또는 상세 설정)
+const videoClipSchema = {
+  description: '씬 영상 클립 파일명 또는 상세 설정 (image 대신 사용)',
+  if: { type: 'string' },
+  then: fileNameSchema,
+  else: {
+    type: 'object',
+    properties: {
+      file: { ...fileNameSchema, description: '영상 클립 파일명' },
+      in: { type: 'number', minimum: 0, description: '클립 시작 지점(초), 기본값 0' },
+      out: { type: 'number', exclusiveMinimum: 0, description: '클립 끝 지점(초), 기본값 클립 끝' },
+      speed: { type: 'number', minimum: 0.25, maximum: 4, description: '재생 속도, 기본값 1' },
+      mute: { type: 'boolean', description: '원본 오디오 제외' },
+      volume: { type: 'number', minimum: 0, maximum: 10, description: '원본 오디오 볼륨 배율, 기본값 1.0' }
+    },
+    required: ['file'],
+    additionalProperties: false
+  }
+};
+
+// 번인할 자막 파일 (.srt, .vtt, .ass)
+const subtitlesFileNameSchema = { ...fileNameSchema, pattern: '^(?!\\.\\.?$)[^/\\\\]+\\.(srt|vtt|ass)$' };
+
+const subtitlesFileSchema = {
+  description: '자막 파일명 또는 { file, offset } (offset: 시간 이동, 초)',
+  if: { type: 'string' },
+  then: subtitlesFileNameSchema,
+  else: {
+    type: 'object',
+    properties: {
+      file: subtitlesFileNameSchema,
+      offset: { type: 'number', minimum: -86400, maximum: 86400 }
+    },
+    required: ['file'],
+    additionalProperties: false
+  }
+};
+
+const sceneSchema = {
+  type: 'object',
+  description: '씬 하나 (이미지 또는 영상 클립 + 선택적 TTS/효과음/자막)',
+  properties: {
+    image: { ...fileNameSchema, description: '씬 이미지 파일명' },
+    video: videoClipSchema,
+    tts: { ...fileNameSchema, description: '씬 내레이션(TTS) 오디오 파일명' },
+    sfx: { ...fileNameSchema, description: '씬 효과음 오디오 파일명' },
+    sfxOffset: { type: 'number', minimum: -3600, maximum: 3600, description: '씬 시작 기준 효과음 시작 오프셋(초), 기본값 0' },
+    sfxVolume: { type: 'number', minimum: 0, maximum: 10, description: '효과음 볼륨 배율, 기본값 1.0' },
+    duration: { type: 'number', exclusiveMinimum: 0, maximum: 3600, description: '씬 길이(초), 기본값 3' },
+    durationMode: { ...durationModeSchema, description: '이 씬에만 적용할 길이 결정 방식' },
+    fit: { ...fitModeSchema, description: '이 씬에만 적용할 맞춤 방식 (global.fit 덮어쓰기)' },
+    subtitle: subtitleSchema,
+    subtitlesFile: { ...subtitlesFileSchema, description: '씬 시작 기준 시간의 자막 파일 (예: TTS 단어 단위 타이밍)' },
+    transition: transitionSchema,
+    motion: motionSchema
+  },
+  // 화면 소스는 image와 video 중 하나만 지정
+  if: { required: ['video'] },
+  then: { not: { required: ['image'] } },
+  else: { required: ['image'] },
+  additionalProperties: false
+};
+
+// 인코딩 프로필 + 허용 목록 안에서의 개별 덮어쓰기 (임의 FFmpeg 옵션 주입 방지)
+const encodingProfileSchema = {
+  type: 'string',
+  enum: ['web-h264', 'archive-h265', 'webm-vp9', 'av1', 'prores-proxy', 'audio-only-mp3']
+};
+
+const bitrateSchema = { type: 'string', pattern: '^\\d{1,6}(\\.\\d{1,3})?[kM]?$' };
+
+const encodingSchema = {
+  description: '인코딩 프로필 이름 또는 { profile, ...덮어쓸 값 }',
+  if: { type: 'string' },
+  then: encodingProfileSchema,
+  else: {
+    type: 'object',
+    properties: {
+      profile: { ...encodingProfileSchema, description: '기준 프로필, 기본값 web-h264' },
+      container: { type: 'string', enum: ['mp4', 'mov', 'mkv', 'webm', 'mp3'] },
+      videoCodec: { type: 'string', enum: ['libx264', 'libx265', 'libvpx-vp9', 'libaom-av1', 'prores_ks'] },
+      audioCodec: { type: 'string', enum: ['aac', 'libopus', 'libmp3lame', 'pcm_s16le'] },
+      crf: { type: 'integer', minimum: 0, maximum: 63 },
+      preset: {
+        type: 'string',
+        enum: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'],
+        description: 'libx264/libx265 전용'
+      },
+      videoBitrate: { ...bitrateSchema, description: '비디오 비트레이트 (예: 4M, 2500k)' },
+      audioBitrate: { ...bitrateSchema, description: '오디오 비트레이트 (예: 192k)' },
+      pixelFormat: { type: 'string', enum: ['yuv420p', 'yuv420p10le', 'yuv422p10le', 'yuv444p'] }
+    },
+    additionalProperties: false
+  }
+};
+
+const globalSchema = {
+  type: 'object',
+  description: '영상 전체 설정',
+  properties: {
+    resolution: {
+      type: 'string',
+      pattern: '^[1-9]\\d{1,4}x[1-9]\\d{1,4}$',
+      description: '출력 해상도 (예: 1920x1080, 1080x1920), 기본값 1920x1080'
+    },
+    aspectRatio: {
+      type: 'string',
+      enum: ['16:9', '9:16', '1:1', '4:5'],
+      description: 'resolution이 없을 때 사용할 화면 비율 프리셋'
+    },
+    fps: { type: 'number', minimum: 1, maximum: 120, description: '출력 프레임레이트, 기본값 30' },
+    fit: { ...fitModeSchema, description: '이미지 맞춤 방식, 기본값 pad' },
+    backgroundMusicVolume: { type: 'number', minimum: 0, maximum: 10, description: '배경음악 볼륨 배율, 기본값 0.3' },
+    voiceVolume: { type: 'number', minimum: 0, maximum: 10, description: 'TTS 볼륨 배율, 기본값 1.0' },
+    subtitleStyle: subtitleStyleSchema,
+    encoding: encodingSchema
+  },
+  additionalProperties: false
+};
+
+const bgmObjectSchema = {
+  type: 'object',
+  properties: {
+    file: { ...fileNameSchema, description: '배경음악 오디오 파일명' },
+    volume: { type: 'number', minimum: 0, maximum: 10, description: '볼륨 배율, 기본값 global.backgroundMusicVolume 또는 0.3' },
+    loop: { type: 'boolean', description: '영상 길이만큼 반복 재생' },
+    fadeIn: { type: 'number', minimum: 0, maximum: 600, description: '페이드 인(초)' },
+    fadeOut: { type: 'number', minimum: 0, maximum: 600, description: '페이드 아웃(초)' },
+    ducking: {
+      description: 'TTS 구간에서 배경음악 자동 감쇠 (true면 기본값 사용)',
+      type: ['boolean', 'object'],
+      properties: {
+        threshold: { type: 'number', minimum: 0.001, maximum: 1 },
+        ratio: { type: 'number', minimum: 1, maximum: 20 },
+        attack: { type: 'number', minimum: 0.01, maximum: 2000, description: 'ms' },
+        release: { type: 'number', minimum: 0.01, maximum: 9000, description: 'ms' }
+      },
+      additionalProperties: false
+    }
+  },
+  required: ['file'],
+  additionalProperties: false
+};
+
+// 포스터/스프라이트/애니메이션 미리보기 (렌더링 결과에서 추출)
+const thumbnailsSchema = {
+  type: 'object',
+  description: '렌더링 후 생성할 썸네일 설정',
+  properties: {
+    poster: {
+      type: 'object',
+      description: '포스터 프레임 위치: { time } 또는 { scene } (기본값: 첫 씬 중간)',
+      properties: {
+        time: { type: 'number', minimum: 0, description: '영상 기준 시각(초)' },
+        scene: { type: 'integer', minimum: 0, description: '씬 번호 (해당 씬 중간 프레임)' }
+      },
+      maxProperties: 1,
+      additionalProperties: false
+    },
+    sprite: {
+      description: 'WebVTT 썸네일 트랙용 스프라이트 시트 설정, false면 생성 안 함',
+      if: { type: 'boolean' },
+      then: { const: false },
+      else: {
+        type: 'object',
+        properties: {
+          interval: { type: 'number', minimum: 0.5, maximum: 60, description: '썸네일 간격(초), 기본값 5' },
+          width: { type: 'integer', minimum: 40, maximum: 640, description: '썸네일 너비(px), 기본값 160' },
+          columns: { type: 'integer', minimum: 1, maximum: 20, description: '스프라이트 열 수, 기본값 10' }
+        },
+        additionalProperties: false
+      }
+    },
+    animatedPreview: {
+      type: 'object',
+      description: '앞부분 애니메이션 미리보기 (지정한 경우에만 생성)',
+      properties: {
+        format: { type: 'string', enum: ['gif', 'webp'], description: '기본값 gif' },
+        duration: { type: 'number', exclusiveMinimum: 0, maximum: 30, description: '앞부분 길이(초), 기본값 3' },
+        width: { type: 'integer', minimum: 40, maximum: 960, description: '너비(px), 기본값 320' },
+        fps: { type: 'number', minimum: 1, maximum: 30, description: '프레임레이트, 기본값 10' }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+const settingsSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: `urn:video-encoding-server:settings:v${SETTINGS_SCHEMA_VERSION}`,
+  title: 'Video Encoding Server settings.json',
+  type: 'object',
+  properties: {
+    schemaVersion: { const: SETTINGS_SCHEMA_VERSION, description: '사용한 스키마 버전' },
+    duration: { type: 'number', exclusiveMinimum: 0, description: '전체 영상 길이(초, 참고용)' },
+    durationMode: { ...durationModeSchema, description: '씬 길이 결정 방식, 기본값 fixed' },
+    global: globalSchema,
+    subtitleMode: {
+      type: 'string',
+      enum: ['burn', 'soft'],
+      description: '씬 자막 방식: burn(화면에 번인), soft(켜고 끌 수 있는 자막 트랙), 기본값 burn'
+    },
+    subtitleLanguage: { ...languageCodeSchema, description: '씬 자막 text의 언어 코드 (소프트 자막 트랙 메타데이터), 기본값 und' },
+    subtitlesFile: { ...subtitlesFileSchema, description: '영상 전체 기준 시간의 자막 파일' },
+    scenes: { type: 'array', minItems: 1, items: sceneSchema },
+    thumbnails: thumbnailsSchema,
+    bgm: {
+      description: '배경음악 파일명 또는 상세 설정 객체',
+      if: { type: 'string' },
+      then: fileNameSchema,
+      else: bgmObjectSchema
+    }
+  },
+  required: ['scenes'],
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validate = ajv.compile(settingsSchema);
+
+// Ajv 오류를 JSON 포인터 기준 위반 항목으로 변환
+function toViolation(error) {
+  let pointer = error.instancePath;
+
+  // 누락/미지원 필드는 해당 필드 위치를 가리키도록 보정
+  if (error.keyword === 'required') {
+    pointer += `/${error.params.missingProperty}`;
+  } else if (error.keyword === 'additionalProperties') {
+    pointer += `/${error.params.additionalProperty}`;
+  } else if (error.propertyName) {
+    // propertyNames 하위 오류는 잘못된 필드 이름을 가리킴
+    pointer += `/${error.propertyName}`;
+  }
+
+  const { params } = error;
+  const messages = {
+    required: '필수 항목이 없습니다',
+    additionalProperties: '알 수 없는 필드입니다',
+    type: `${params.type} 타입이어야 합니다`,
+    pattern: '형식이 올바르지 않습니다',
+    minimum: `${params.comparison} ${params.limit} 이어야 합니다`,
+    maximum: `${params.comparison} ${params.limit} 이어야 합니다`,
+    exclusiveMinimum: `${params.comparison} ${params.limit} 이어야 합니다`,
+    exclusiveMaximum: `${params.comparison} ${params.limit} 이어야 합니다`,
+    enum: `허용되는 값: ${(params.allowedValues || []).join(', ')}`,
+    const: `${params.allowedValue} 이어야 합니다`,
+    minItems: `최소 ${params.limit}개가 필요합니다`,
+    minLength: `최소 ${params.limit}자 이상이어야 합니다`,
+    not: '함께 지정할 수 없는 필드가 있습니다',
+    maxLength: `최대 ${params.limit}자까지 가능합니다`,
+    maxProperties: `최대 ${params.limit}개 필드만 지정할 수 있습니다`
+  };
+
+  return {
+    path: pointer || '/',
+    keyword: error.keyword,
+    message: messages[error.keyword] || error.message
+  };
+}
+
+/**
+ * settings.json 스키마 검증
+ * @param {Object} settings - 클라이언트가 보낸 settings 객체
+ * @returns {{ valid: boolean, violations: Array<{ path: string, keyword: string, message: string }> }}
+ */
+function validateSettings(settings) {
+  if (validate(settings)) {
+    return { valid: true, violations: [] };
+  }
+
+  // if/then/else 분기, propertyNames 자체의 오류는 하위 오류와 중복되므로 제외
+  const violations = validate.errors
+    .filter(error => error.keyword !== 'if' && error.keyword !== 'propertyNames')
+    .map(toViolation);
+
+  return { valid: false, violations };
+}
+
+module.exports = {
+  SETTINGS_SCHEMA_VERSION,
+  settingsSchema,
+  validateSettings
+};